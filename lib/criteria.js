@@ -0,0 +1,497 @@
+var _ = require('lodash');
+var types = require('./types');
+
+
+/**
+ * Waterline comparison modifiers and their SQL operators. Aliases coming from the Waterline 0.10 query language are
+ * mapped to the same operator.
+ */
+var COMPARISON_OPERATORS = {
+    '<': '<',
+    'lessThan': '<',
+    '<=': '<=',
+    'lessThanOrEqual': '<=',
+    '>': '>',
+    'greaterThan': '>',
+    '>=': '>=',
+    'greaterThanOrEqual': '>='
+};
+
+/**
+ * LIKE based modifiers. Each of them builds the pattern to match from the raw value given in criteria.
+ */
+var LIKE_MODIFIERS = {
+    like: function (value) {
+        return String(value);
+    },
+    contains: function (value) {
+        return '%' + escapeLike(value) + '%';
+    },
+    startsWith: function (value) {
+        return escapeLike(value) + '%';
+    },
+    endsWith: function (value) {
+        return '%' + escapeLike(value);
+    }
+};
+
+var LIKE_ESCAPE = '\\';
+
+
+/**
+ * Escapes LIKE wildcards (and the escape character itself) so that contains/startsWith/endsWith match the given value
+ * literally.
+ *
+ * @param value raw value
+ * @returns {string} escaped value
+ */
+function escapeLike(value) {
+    return String(value).replace(/[\\%_]/g, function (chr) {
+        return LIKE_ESCAPE + chr;
+    });
+}
+
+/**
+ * Tells whether an attribute name belongs to the collection definition.
+ *
+ * @param collection collection object
+ * @param attrName attribute name
+ * @returns {boolean}
+ */
+function isAttribute(collection, attrName) {
+    return collection.definition.hasOwnProperty(attrName);
+}
+
+/**
+ * Checks that criteria only name attributes of the collection: a condition left out because of a misspelled attribute
+ * would widen the statement to more records than meant (i.e. every record of an update or a destroy).
+ *
+ * @param collection collection object
+ * @param attrName attribute name
+ * @throws {Error} when the attribute is unknown
+ */
+function checkAttribute(collection, attrName) {
+    if (!isAttribute(collection, attrName)) {
+        throw new Error('Unknown attribute `' + attrName + '` in criteria' + (collection.identity ? ' on ' + collection.identity : ''));
+    }
+}
+
+/**
+ * Gives the column an attribute is compared on, qualified by the table correlation name when one is given (i.e. in
+ * joins).
+ *
+ * @param collection collection object
+ * @param attrName attribute name
+ * @param alias table correlation name (optional)
+ * @param identifierCase upper / exact, see getColumnName
+ * @returns {string} column reference
+ */
+function columnName(collection, attrName, alias, identifierCase) {
+    var column = exports.getColumnName(attrName, collection.definition[attrName], identifierCase);
+
+    return alias ? alias + '.' + column : column;
+}
+
+/**
+ * Compiles a list of conditions joined by the given logical operator. Empty conditions are discarded.
+ *
+ * @param conditions array of SQL fragments
+ * @param operator AND / OR
+ * @returns {string} SQL fragment, or an empty string when nothing is left
+ */
+function join(conditions, operator) {
+    conditions = _.compact(conditions);
+
+    if (conditions.length === 0) return '';
+    if (conditions.length === 1) return conditions[0];
+
+    return '(' + conditions.join(' ' + operator + ' ') + ')';
+}
+
+/**
+ * Compiles an IN / NOT IN list. An empty list never matches (or always matches when negated).
+ *
+ * @param column column name
+ * @param attribute attribute definition
+ * @param values array of values
+ * @param negate true to build a NOT IN
+ * @param params bound parameters accumulator
+ * @returns {string} SQL fragment
+ */
+function compileIn(column, attribute, values, negate, params) {
+    var hasNull = _.contains(values, null),
+        list = _.without(values, null),
+        conditions = [];
+
+    if (list.length > 0) {
+        conditions.push(column + (negate ? ' NOT IN ' : ' IN ') + '(' + _.map(list, function () {
+            return '?';
+        }).join(',') + ')');
+        params.push.apply(params, _.map(list, function (value) {
+            return types.toDatabase(attribute, value);
+        }));
+    }
+    if (hasNull) conditions.push(column + (negate ? ' IS NOT NULL' : ' IS NULL'));
+
+    if (conditions.length === 0) return negate ? '1 = 1' : '1 = 0';
+
+    return join(conditions, negate ? 'AND' : 'OR');
+}
+
+/**
+ * Compiles a LIKE modifier. Matching is case insensitive, as Waterline expects. The escape character is only declared
+ * for the patterns built from contains / startsWith / endsWith, whose wildcards are escaped: like patterns are used
+ * as they are.
+ *
+ * @param column column name
+ * @param modifier like / contains / startsWith / endsWith
+ * @param value raw value
+ * @param negate true to build a NOT LIKE
+ * @param params bound parameters accumulator
+ * @returns {string} SQL fragment
+ */
+function compileLike(column, modifier, value, negate, params) {
+    params.push(LIKE_MODIFIERS[modifier](value).toLowerCase());
+
+    return 'LOWER(' + column + ')' + (negate ? ' NOT LIKE ?' : ' LIKE ?') + (modifier === 'like' ? '' : " ESCAPE '" + LIKE_ESCAPE + "'");
+}
+
+/**
+ * Compiles an equality (or inequality) check, taking care of NULL and IN lists.
+ *
+ * @param column column name
+ * @param attribute attribute definition
+ * @param value raw value
+ * @param negate true to build an inequality
+ * @param params bound parameters accumulator
+ * @returns {string} SQL fragment
+ */
+function compileEquality(column, attribute, value, negate, params) {
+    if (_.isArray(value)) return compileIn(column, attribute, value, negate, params);
+    if (value === null || _.isUndefined(value)) return column + (negate ? ' IS NOT NULL' : ' IS NULL');
+
+    params.push(types.toDatabase(attribute, value));
+    return column + (negate ? ' <> ?' : ' = ?');
+}
+
+/**
+ * Compiles the criteria given for a single attribute: either a plain value, an IN list or an object of modifiers.
+ *
+ * @param column column name
+ * @param attribute attribute definition
+ * @param value attribute criteria
+ * @param params bound parameters accumulator
+ * @returns {string} SQL fragment
+ */
+function compileAttribute(column, attribute, value, params) {
+    if (!_.isPlainObject(value)) return compileEquality(column, attribute, value, false, params);
+
+    return join(_.map(value, function (modifierValue, modifier) {
+        if (COMPARISON_OPERATORS.hasOwnProperty(modifier)) {
+            params.push(types.toDatabase(attribute, modifierValue));
+            return column + ' ' + COMPARISON_OPERATORS[modifier] + ' ?';
+        }
+
+        if (LIKE_MODIFIERS.hasOwnProperty(modifier)) return compileLike(column, modifier, modifierValue, false, params);
+
+        if (modifier === '!' || modifier === 'not') {
+            // Negated modifiers: {not: {like: 'foo%'}}, {'!': {'>': 3}}
+            if (_.isPlainObject(modifierValue)) {
+                return join(_.map(modifierValue, function (negatedValue, negatedModifier) {
+                    var negated = {};
+
+                    if (LIKE_MODIFIERS.hasOwnProperty(negatedModifier)) {
+                        return compileLike(column, negatedModifier, negatedValue, true, params);
+                    }
+
+                    negated[negatedModifier] = negatedValue;
+                    return 'NOT (' + compileAttribute(column, attribute, negated, params) + ')';
+                }), 'AND');
+            }
+
+            return compileEquality(column, attribute, modifierValue, true, params);
+        }
+
+        if (modifier === 'equals') return compileEquality(column, attribute, modifierValue, false, params);
+
+        // Waterline 0.13 (stage 3) modifiers
+        if (modifier === '!=') return compileEquality(column, attribute, modifierValue, true, params);
+        if (modifier === 'in' || modifier === 'nin') return compileIn(column, attribute, [].concat(modifierValue), modifier === 'nin', params);
+
+        throw new Error('Unsupported criteria modifier `' + modifier + '` on ' + column);
+    }), 'AND');
+}
+
+/**
+ * Compiles a Waterline where object into a SQL condition, recursing into `or` clauses.
+ *
+ * @param collection collection object
+ * @param where Waterline where object
+ * @param params bound parameters accumulator
+ * @param alias table correlation name (optional)
+ * @param identifierCase upper / exact, see getColumnName
+ * @returns {string} SQL fragment
+ */
+function compileWhere(collection, where, params, alias, identifierCase) {
+    return join(_.map(where, function (value, key) {
+        if (key === 'or') {
+            return join(_.map(value, function (orWhere) {
+                // Only a branch without any condition ({}) is always true
+                return compileWhere(collection, orWhere, params, alias, identifierCase) || '1 = 1';
+            }), 'OR');
+        }
+
+        if (key === 'and') {
+            return join(_.map(value, function (andWhere) {
+                return compileWhere(collection, andWhere, params, alias, identifierCase);
+            }), 'AND');
+        }
+
+        // Top level like: {like: {name: '%foo%'}}
+        if (key === 'like' && _.isPlainObject(value)) {
+            return join(_.map(value, function (pattern, attrName) {
+                checkAttribute(collection, attrName);
+                return compileLike(columnName(collection, attrName, alias, identifierCase), 'like', pattern, false, params);
+            }), 'AND');
+        }
+
+        checkAttribute(collection, key);
+
+        return compileAttribute(columnName(collection, key, alias, identifierCase), collection.definition[key], value, params);
+    }), 'AND');
+}
+
+
+/**
+ * Quotes an identifier, so that DB2 takes it as is instead of folding it to upper case.
+ *
+ * @param name identifier
+ * @returns {string} delimited identifier
+ */
+exports.quoteIdentifier = function (name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+};
+
+/**
+ * Gives the (quoted) column an attribute is stored in. The column is named after the attribute `columnName`, if
+ * given, or after the attribute name itself; the identifierCase connection option then tells how:
+ *
+ *  - upper (default): folded to upper case, the way DB2 stores unquoted identifiers, so that camelCase attributes
+ *    map to the columns of tables created without quotes
+ *  - exact: kept as is, for tables whose columns were created quoted
+ *
+ * @param attrName attribute name
+ * @param attribute attribute definition (may be undefined for unknown attributes)
+ * @param identifierCase upper / exact
+ * @returns {string} quoted column name
+ */
+exports.getColumnName = function (attrName, attribute, identifierCase) {
+    var name = String(attribute && attribute.columnName || attrName);
+
+    return exports.quoteIdentifier(identifierCase === 'exact' ? name : name.toUpperCase());
+};
+
+/**
+ * Builds the WHERE clause for find, update and destroy from Waterline criteria.
+ *
+ * @param collection collection object
+ * @param where Waterline where object
+ * @param alias table correlation name to qualify columns with (optional)
+ * @param identifierCase upper / exact, see getColumnName
+ * @returns {{query: string, condition: string, params: Array}} WHERE clause (prefixed by a space, empty when there
+ * are no conditions), the bare condition and its bound parameters
+ * @throws {Error} when the criteria name an unknown attribute or contain an unsupported modifier
+ */
+exports.buildWhere = function (collection, where, alias, identifierCase) {
+    var params = [],
+        query = _.isPlainObject(where) ? compileWhere(collection, where, params, alias, identifierCase) : '';
+
+    return {
+        query: query.length > 0 ? ' WHERE ' + query : '',
+        condition: query,
+        params: params
+    };
+};
+
+/**
+ * Builds the ORDER BY clause from Waterline sort criteria. Directions can be given as 1 / -1 or ASC / DESC (case
+ * insensitive).
+ *
+ * @param collection collection object
+ * @param sort Waterline sort object
+ * @param alias table correlation name to qualify columns with (optional)
+ * @param identifierCase upper / exact, see getColumnName
+ * @returns {string} ORDER BY clause (prefixed by a space, empty when there is nothing to sort by)
+ * @throws {Error} when a direction is not valid
+ */
+exports.buildSort = function (collection, sort, alias, identifierCase) {
+    var sortData = [];
+
+    _.each(sort, function (direction, attrName) {
+        if (!isAttribute(collection, attrName)) return;
+
+        var normalized = _.isString(direction) ? direction.trim().toUpperCase() : direction,
+            column = columnName(collection, attrName, alias, identifierCase);
+
+        if (normalized === 1 || normalized === '1' || normalized === 'ASC') sortData.push(column + ' ASC');
+        else if (normalized === -1 || normalized === '-1' || normalized === 'DESC') sortData.push(column + ' DESC');
+        else throw new Error('Invalid sort direction `' + direction + '` on ' + attrName);
+    });
+
+    return sortData.length > 0 ? ' ORDER BY ' + sortData.join(', ') : '';
+};
+
+/**
+ * Validates a skip / limit value.
+ *
+ * @param value raw value
+ * @param name option name, used in the error message
+ * @returns {number|null} the value as an integer, null when it's not given
+ * @throws {Error} when the value is not a non negative integer
+ */
+function toRowCount(value, name) {
+    if (_.isUndefined(value) || value === null || value === '') return null;
+
+    var count = Number(value);
+    if (!isFinite(count) || count < 0 || Math.floor(count) !== count) {
+        throw new Error('Invalid ' + name + ' `' + value + '`: it must be a non negative integer');
+    }
+
+    return count;
+}
+
+/**
+ * Assembles a SELECT statement, applying skip and limit. Two strategies are available:
+ *
+ *  - offset: `OFFSET n ROWS FETCH FIRST n ROWS ONLY`, available since DB2 LUW 11.1 (or 9.7 with MySQL compatibility
+ *    enabled)
+ *  - rownumber: numbers the rows with `ROW_NUMBER() OVER()` in a subquery and filters on the numbering, for servers
+ *    that don't support OFFSET (older LUW and z/OS levels)
+ *
+ * DB2 rejects FETCH FIRST 0 ROWS: a zero limit always selects an empty range of the numbering.
+ *
+ * @param parts statement parts: select (column list), from, where, groupBy and orderBy clauses, plus the columns
+ * the paging subquery exposes when they differ from the select list (i.e. aliased aggregates)
+ * @param options Waterline criteria holding skip and limit
+ * @param strategy offset / rownumber
+ * @returns {string} SELECT statement
+ * @throws {Error} when skip or limit are not valid
+ */
+exports.buildSelect = function (parts, options, strategy) {
+    var skip = toRowCount(options.skip, 'skip') || 0,
+        limit = toRowCount(options.limit, 'limit'),
+        where = (parts.where || '') + (parts.groupBy || ''),
+        orderBy = parts.orderBy || '',
+        fetchQuery = limit !== null ? ' FETCH FIRST ' + limit + ' ROWS ONLY' : '',
+        rowBounds = [];
+
+    if (skip === 0 && limit !== 0) return 'SELECT ' + parts.select + parts.from + where + orderBy + fetchQuery;
+
+    if (strategy === 'rownumber' || limit === 0) {
+        rowBounds.push('ROW_NUMBER__ > ' + skip);
+        if (limit !== null) rowBounds.push('ROW_NUMBER__ <= ' + (skip + limit));
+
+        return 'SELECT ' + (parts.columns || parts.select) + ' FROM (' +
+            'SELECT ' + parts.select + ', ROW_NUMBER() OVER(' + orderBy.trim() + ') AS ROW_NUMBER__' + parts.from + where +
+            ') AS PAGED__ WHERE ' + rowBounds.join(' AND ') + ' ORDER BY ROW_NUMBER__';
+    }
+
+    return 'SELECT ' + parts.select + parts.from + where + orderBy + ' OFFSET ' + skip + ' ROWS' + fetchQuery;
+};
+
+/**
+ * Assembles a SELECT statement whose rows belong to different parents (i.e. the children of a one-to-many
+ * association), applying skip and limit to each parent separately: rows are numbered within each parent with
+ * `ROW_NUMBER() OVER(PARTITION BY ...)` and filtered on the numbering. Rows come back grouped by parent.
+ *
+ * @param parts statement parts: select (qualified column list), columns (the same columns, unqualified), partitionBy
+ * (the parent column, aliased as PARENT__ in the select list), from, where and orderBy clauses
+ * @param options Waterline criteria holding skip and limit
+ * @returns {string} SELECT statement
+ * @throws {Error} when skip or limit are not valid
+ */
+exports.buildPartitionedSelect = function (parts, options) {
+    var skip = toRowCount(options.skip, 'skip') || 0,
+        limit = toRowCount(options.limit, 'limit'),
+        where = parts.where || '',
+        orderBy = parts.orderBy || '',
+        rowBounds = [];
+
+    if (skip === 0 && limit === null) {
+        return 'SELECT ' + parts.select + parts.from + where + ' ORDER BY ' + parts.partitionBy + orderBy.replace(/^ ORDER BY /, ', ');
+    }
+
+    rowBounds.push('ROW_NUMBER__ > ' + skip);
+    if (limit !== null) rowBounds.push('ROW_NUMBER__ <= ' + (skip + limit));
+
+    return 'SELECT ' + parts.columns + ' FROM (' +
+        'SELECT ' + parts.select + ', ROW_NUMBER() OVER(PARTITION BY ' + parts.partitionBy + orderBy + ') AS ROW_NUMBER__' + parts.from + where +
+        ') AS PAGED__ WHERE ' + rowBounds.join(' AND ') + ' ORDER BY PARENT__, ROW_NUMBER__';
+};
+
+/**
+ * Waterline aggregate criteria and their DB2 functions. Averages are computed on DOUBLE values, since DB2 returns an
+ * integer average for integer columns.
+ */
+var AGGREGATE_FUNCTIONS = {
+    sum: function (column) {
+        return 'SUM(' + column + ')';
+    },
+    average: function (column) {
+        return 'AVG(CAST(' + column + ' AS DOUBLE))';
+    },
+    min: function (column) {
+        return 'MIN(' + column + ')';
+    },
+    max: function (column) {
+        return 'MAX(' + column + ')';
+    }
+};
+
+/**
+ * Builds the select list and GROUP BY clause for aggregate criteria (sum, average, min, max and groupBy). Aggregated
+ * values are aliased with the quoted attribute name, so rows come back in the shape Waterline expects.
+ *
+ * The returned `definition` tells the Waterline type of every returned value (averages are floats), to cast results
+ * back; `groupAttributes` are the only attributes rows can be sorted by.
+ *
+ * @param collection collection object
+ * @param options Waterline criteria
+ * @param identifierCase upper / exact, see getColumnName
+ * @returns {{select: string, groupBy: string, groupAttributes: Array, definition: Object}|null} aggregate query parts,
+ * null when the criteria don't aggregate anything
+ * @throws {Error} when groupBy is used without any aggregate
+ */
+exports.buildAggregate = function (collection, options, identifierCase) {
+    var toArray = function (value) {
+            return _.filter(value ? [].concat(value) : [], function (attrName) {
+                return isAttribute(collection, attrName);
+            });
+        },
+        groupAttributes = toArray(options.groupBy),
+        definition = _.pick(collection.definition, groupAttributes),
+        selectData = [];
+
+    _.each(AGGREGATE_FUNCTIONS, function (aggregate, name) {
+        _.each(toArray(options[name]), function (attrName) {
+            selectData.push(aggregate(columnName(collection, attrName, null, identifierCase)) + ' AS ' + exports.quoteIdentifier(attrName));
+            definition[attrName] = name === 'average' ? {type: 'float'} : collection.definition[attrName];
+        });
+    });
+
+    if (selectData.length === 0) {
+        if (groupAttributes.length > 0) throw new Error('groupBy must be used together with an aggregate (sum, average, min or max)');
+        return null;
+    }
+
+    return {
+        select: _.map(groupAttributes, function (attrName) {
+            return columnName(collection, attrName, null, identifierCase) + ' AS ' + exports.quoteIdentifier(attrName);
+        }).concat(selectData).join(', '),
+        groupBy: groupAttributes.length > 0 ? ' GROUP BY ' + _.map(groupAttributes, function (attrName) {
+            return columnName(collection, attrName, null, identifierCase);
+        }).join(', ') : '',
+        groupAttributes: groupAttributes,
+        definition: definition
+    };
+};
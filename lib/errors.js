@@ -0,0 +1,214 @@
+var _ = require('lodash');
+
+
+/**
+ * SQLSTATEs of transient failures: the same operation may succeed when retried.
+ */
+var TRANSIENT_STATES = {
+    '40001': 'E_DEADLOCK',
+    '57033': 'E_LOCK_TIMEOUT'
+};
+
+/**
+ * SQLSTATEs of statements cancelled by their query timeout: 57014 from DB2, HYT00 from the CLI driver.
+ */
+var TIMEOUT_STATES = ['57014', 'HYT00'];
+
+/**
+ * SQLCODEs mapped to the SQLSTATE they stand for, for drivers reporting the SQLCODE only.
+ */
+var SQLCODE_STATES = {
+    '-803': '23505',
+    '-407': '23502',
+    '-530': '23503',
+    '-531': '23504',
+    '-532': '23504',
+    '-433': '22001',
+    '-911': '40001',
+    '-913': '57033',
+    '-952': '57014',
+    '-30081': '08001'
+};
+
+
+/**
+ * Gives the SQLSTATE of an ibm_db error, falling back to its SQLCODE.
+ *
+ * @param err ibm_db error
+ * @returns {string|null} SQLSTATE
+ */
+function getState(err) {
+    if (err.state) return String(err.state);
+    if (!_.isUndefined(err.sqlcode) && SQLCODE_STATES[String(err.sqlcode)]) return SQLCODE_STATES[String(err.sqlcode)];
+
+    return null;
+}
+
+/**
+ * Finds the attributes involved in a constraint violation: the ones stored in the key columns, when the key DB2 named
+ * could be resolved (see getKeyName), otherwise the attributes with the given rule among the written values.
+ *
+ * @param collection collection object
+ * @param values record, or records, written by the failed statement
+ * @param rule unique / required
+ * @param keyColumns columns of the violated key, as stored in the catalog (optional)
+ * @returns {Object} Waterline invalidAttributes
+ */
+function getInvalidAttributes(collection, values, rule, keyColumns) {
+    var invalidAttributes = {},
+        records = _.isArray(values) ? values : (values ? [values] : []),
+        attrNames;
+
+    if (!collection) return invalidAttributes;
+
+    if (keyColumns && keyColumns.length > 0) {
+        keyColumns = _.map(keyColumns, function (column) {
+            return column.toUpperCase();
+        });
+        attrNames = _.filter(_.keys(collection.definition), function (attrName) {
+            return _.contains(keyColumns, String(collection.definition[attrName].columnName || attrName).toUpperCase());
+        });
+    }
+    else {
+        attrNames = _.filter(_.keys(collection.definition), function (attrName) {
+            var attribute = collection.definition[attrName];
+
+            if (rule === 'unique') {
+                return (attribute.unique || attribute.primaryKey) && _.some(records, function (record) {
+                    return record.hasOwnProperty(attrName);
+                });
+            }
+            if (rule === 'required') {
+                return attribute.required && (records.length === 0 || _.some(records, function (record) {
+                    return record[attrName] === null || _.isUndefined(record[attrName]);
+                }));
+            }
+            return false;
+        });
+    }
+
+    _.each(attrNames, function (attrName) {
+        invalidAttributes[attrName] = [{
+            // The offending value is only known when a single record was written
+            value: records.length === 1 ? records[0][attrName] : undefined,
+            rule: rule,
+            message: rule === 'unique' ? 'A record with that `' + attrName + '` already exists' : '`' + attrName + '` is required'
+        }];
+    });
+
+    return invalidAttributes;
+}
+
+/**
+ * Builds a normalized error, keeping the DB2 details of the original one.
+ *
+ * @param err ibm_db error
+ * @param state SQLSTATE
+ * @param code Waterline error code
+ * @param message error message
+ * @returns {Error}
+ */
+function createError(err, state, code, message) {
+    var error = new Error(message);
+
+    error.code = code;
+    error.state = state;
+    error.sqlcode = err.sqlcode;
+    error.retryable = false;
+    error.originalError = err;
+
+    return error;
+}
+
+
+/**
+ * Converts an ibm_db error into the error Waterline expects, according to its SQLSTATE (or SQLCODE):
+ *
+ *  - 23505 (duplicate key): E_UNIQUE, with the offending attributes in invalidAttributes
+ *  - 23502 (NULL in a NOT NULL column): E_VALIDATION, with the offending attributes in invalidAttributes
+ *  - 23503 / 23504 (foreign key violation): E_VALIDATION
+ *  - 22001 (value too long): E_VALIDATION
+ *  - 40001 (deadlock) / 57033 (lock timeout): E_DEADLOCK / E_LOCK_TIMEOUT, retryable
+ *  - 08xxx (connection failure): E_CONNECTION, retryable
+ *  - 57014 / HYT00 (statement cancelled by its timeout): E_TIMEOUT
+ *
+ * Other errors are given back as they are. Every error gets a `retryable` flag, and the SQLSTATE in `state`.
+ *
+ * @param err ibm_db error
+ * @param collection collection object the failed statement was about, if any
+ * @param values record, or records, written by the failed statement, if any
+ * @param keyColumns columns of the key a duplicate key error is about, if known (see getKeyName)
+ * @returns {Error} normalized error
+ */
+exports.normalize = function (err, collection, values, keyColumns) {
+    if (!err || !_.isObject(err) || err.hasOwnProperty('retryable')) return err;
+
+    var state = getState(err),
+        message = err.message || String(err),
+        error;
+
+    if (state === '23505') {
+        error = createError(err, state, 'E_UNIQUE', message);
+        error.invalidAttributes = getInvalidAttributes(collection, values, 'unique', keyColumns);
+    }
+    else if (state === '23502') {
+        error = createError(err, state, 'E_VALIDATION', message);
+        error.invalidAttributes = getInvalidAttributes(collection, values, 'required');
+    }
+    else if (state === '23503' || state === '23504' || state === '22001') {
+        error = createError(err, state, 'E_VALIDATION', message);
+        error.invalidAttributes = {};
+    }
+    else if (TRANSIENT_STATES.hasOwnProperty(state)) {
+        error = createError(err, state, TRANSIENT_STATES[state], message);
+        error.retryable = true;
+    }
+    else if (_.contains(TIMEOUT_STATES, state)) {
+        error = createError(err, state, 'E_TIMEOUT', 'The statement was cancelled because it exceeded its timeout: ' + message);
+    }
+    else if (state && state.substr(0, 2) === '08') {
+        error = createError(err, state, 'E_CONNECTION', message);
+        error.retryable = true;
+    }
+    else {
+        error = err instanceof Error ? err : _.extend(new Error(message), err);
+        error.state = state;
+        error.retryable = false;
+    }
+
+    return error;
+};
+
+/**
+ * Gives the key a duplicate key error (SQL0803N) names: DB2 reports the id of the unique index (SYSCAT.INDEXES IID)
+ * or the name of the constraint or index.
+ *
+ * @param err ibm_db error
+ * @returns {string|null} index id or name
+ */
+exports.getKeyName = function (err) {
+    var match = /identified by "([^"]+)"/.exec(err && err.message || '');
+
+    return match ? match[1] : null;
+};
+
+/**
+ * Tells whether an error is SQL0204N (undefined name): the table, constraint or index a statement is about doesn't
+ * exist. DB2 reports it as 42704, the CLI driver as 42S02.
+ *
+ * @param err error
+ * @returns {boolean}
+ */
+exports.isUndefinedName = function (err) {
+    return !!err && (_.contains(['42704', '42S02'], getState(err)) || String(err.sqlcode) === '-204');
+};
+
+/**
+ * Tells whether an error is transient, so that the operation that caused it can be retried.
+ *
+ * @param err error
+ * @returns {boolean}
+ */
+exports.isRetryable = function (err) {
+    return !!(err && exports.normalize(err).retryable);
+};
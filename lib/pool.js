@@ -0,0 +1,231 @@
+var _ = require('lodash');
+
+
+/**
+ * Connection pool for a registered connection. Connections are opened on demand up to `max`, handed out one per
+ * operation and put back once the operation is over. Connections idle for more than `idleTimeout` are closed, as long
+ * as at least `min` connections stay open; callers waiting for more than `acquireTimeout` get an error. When a
+ * validate function is given, idle connections are checked before being handed out: the ones that fail (i.e. killed
+ * by a server restart or a firewall) are closed and replaced.
+ *
+ * @param open function opening a new ibm_db connection, receiving a callback
+ * @param options pool options: min, max, idleTimeout and acquireTimeout (milliseconds)
+ * @param validate function checking an idle connection, receiving the connection and a callback (optional)
+ * @constructor
+ */
+function Pool(open, options, validate) {
+    options = _.defaults({}, options, Pool.defaults);
+
+    this.open = open;
+    this.validate = validate || null;
+    this.min = options.min;
+    this.max = Math.max(options.max, 1);
+    this.idleTimeout = options.idleTimeout;
+    this.acquireTimeout = options.acquireTimeout;
+
+    // Open (or opening) connections, whether idle or in use
+    this.size = 0;
+    this.idle = [];
+    this.waiting = [];
+    this.draining = false;
+    this.drainCallbacks = [];
+}
+
+Pool.defaults = {
+    min: 0,
+    max: 10,
+    idleTimeout: 30000,
+    acquireTimeout: 60000
+};
+
+
+/**
+ * Opens connections until the pool holds `min` of them.
+ *
+ * @param cb callback, receiving the first error occurred, if any
+ */
+Pool.prototype.fill = function (cb) {
+    var self = this,
+        missing = this.min - this.size,
+        pending = missing,
+        error = null;
+
+    cb = cb || function () {
+    };
+    if (missing <= 0) return cb();
+
+    _.times(missing, function () {
+        self.size++;
+        self.open(function (err, conn) {
+            if (err) {
+                self.size--;
+                error = error || err;
+            }
+            else self.release(conn);
+
+            if (--pending === 0) return cb(error);
+        });
+    });
+};
+
+/**
+ * Checks out a connection: an idle one when available (and valid), a new one when the pool isn't full, otherwise the
+ * first one given back within `acquireTimeout`.
+ *
+ * @param cb callback receiving the connection
+ */
+Pool.prototype.acquire = function (cb) {
+    var self = this,
+        item,
+        waiter;
+
+    if (this.draining) return cb(new Error('The connection pool is being drained'));
+
+    if (this.idle.length > 0) {
+        item = this.idle.pop();
+        clearTimeout(item.timer);
+        if (!this.validate) return cb(null, item.conn);
+
+        return this.validate(item.conn, function (err) {
+            if (!err) return cb(null, item.conn);
+
+            // Broken connection: it's closed, and another one is checked out instead
+            self.destroy(item.conn);
+            return self.acquire(cb);
+        });
+    }
+
+    if (this.size < this.max) return this.create(cb);
+
+    waiter = {cb: cb};
+    if (this.acquireTimeout > 0) {
+        waiter.timer = setTimeout(function () {
+            self.waiting = _.without(self.waiting, waiter);
+            return cb(new Error('Timed out after ' + self.acquireTimeout + 'ms waiting for a DB2 connection (pool max: ' + self.max + ')'));
+        }, this.acquireTimeout);
+    }
+    this.waiting.push(waiter);
+};
+
+/**
+ * Opens a new connection, counting it in the pool size.
+ *
+ * @param cb callback receiving the connection
+ */
+Pool.prototype.create = function (cb) {
+    var self = this;
+
+    this.size++;
+    this.open(function (err, conn) {
+        if (err) {
+            self.size--;
+            self.dispense();
+            return cb(err);
+        }
+
+        return cb(null, conn);
+    });
+};
+
+/**
+ * Gives a connection back: it's handed to the first waiting caller, or kept idle.
+ *
+ * @param conn connection
+ */
+Pool.prototype.release = function (conn) {
+    var self = this,
+        waiter,
+        item;
+
+    if (this.draining) return this.destroy(conn);
+
+    if (this.waiting.length > 0) {
+        waiter = this.waiting.shift();
+        clearTimeout(waiter.timer);
+        return waiter.cb(null, conn);
+    }
+
+    item = {conn: conn};
+    if (this.idleTimeout > 0) {
+        item.timer = setTimeout(function () {
+            if (self.size <= self.min) return;
+
+            self.idle = _.without(self.idle, item);
+            self.destroy(conn);
+        }, this.idleTimeout);
+        if (item.timer.unref) item.timer.unref();
+    }
+    this.idle.push(item);
+};
+
+/**
+ * Closes a connection and removes it from the pool, i.e. when it's broken.
+ *
+ * @param conn connection
+ */
+Pool.prototype.destroy = function (conn) {
+    var self = this;
+
+    // Prepared statements cached for the connection (see lib/statements) don't outlive it
+    if (conn.statementCache) conn.statementCache.clear();
+
+    conn.close(function () {
+        self.size--;
+        self.dispense();
+    });
+};
+
+/**
+ * Opens a connection for the first waiting caller, if there's room for it, or completes draining.
+ */
+Pool.prototype.dispense = function () {
+    var callbacks;
+
+    if (this.draining) {
+        if (this.size === 0) {
+            callbacks = this.drainCallbacks;
+            this.drainCallbacks = [];
+            _.each(callbacks, function (cb) {
+                cb();
+            });
+        }
+        return;
+    }
+
+    if (this.waiting.length > 0 && this.size < this.max) {
+        var waiter = this.waiting.shift();
+        clearTimeout(waiter.timer);
+        this.create(waiter.cb);
+    }
+};
+
+/**
+ * Closes every connection: idle ones right away, the ones in use as soon as they're given back. Waiting callers get
+ * an error, and the pool can't be used anymore.
+ *
+ * @param cb callback, called once every connection has been closed
+ */
+Pool.prototype.drain = function (cb) {
+    var self = this,
+        idle = this.idle,
+        waiting = this.waiting;
+
+    this.draining = true;
+    this.drainCallbacks.push(cb);
+    this.idle = [];
+    this.waiting = [];
+
+    _.each(waiting, function (waiter) {
+        clearTimeout(waiter.timer);
+        waiter.cb(new Error('The connection pool is being drained'));
+    });
+    _.each(idle, function (item) {
+        clearTimeout(item.timer);
+        self.destroy(item.conn);
+    });
+
+    this.dispense();
+};
+
+
+module.exports = Pool;
@@ -0,0 +1,89 @@
+var _ = require('lodash');
+
+
+/**
+ * Cache of the prepared statements of an ibm_db connection, keyed by SQL text, keeping the `max` most recently used
+ * ones. A statement is taken out of the cache while it runs, so that it's never executed twice at the same time, and
+ * put back once it's over; the least recently used statement is closed when the cache is full.
+ *
+ * @param max maximum amount of cached statements
+ * @constructor
+ */
+function StatementCache(max) {
+    this.max = max;
+
+    // Statements by SQL text, from the least to the most recently used
+    this.statements = {};
+    this.size = 0;
+}
+
+
+/**
+ * Takes a statement out of the cache.
+ *
+ * @param sql SQL text
+ * @returns {Object|null} prepared statement, null when it's not cached
+ */
+StatementCache.prototype.take = function (sql) {
+    var statement = this.statements.hasOwnProperty(sql) ? this.statements[sql] : null;
+
+    if (statement) {
+        delete this.statements[sql];
+        this.size--;
+    }
+
+    return statement;
+};
+
+/**
+ * Puts a statement (back) in the cache, as the most recently used one. When the cache is full, the least recently used
+ * statement is closed; a statement already cached for the same SQL text is closed as well.
+ *
+ * @param sql SQL text
+ * @param statement prepared statement
+ */
+StatementCache.prototype.put = function (sql, statement) {
+    var oldest;
+
+    if (this.max <= 0) return close(statement);
+
+    if (this.statements.hasOwnProperty(sql)) close(this.take(sql));
+    if (this.size >= this.max) {
+        oldest = _.keys(this.statements)[0];
+        close(this.take(oldest));
+    }
+
+    this.statements[sql] = statement;
+    this.size++;
+};
+
+/**
+ * Closes every cached statement, i.e. when the tables they're about have changed.
+ */
+StatementCache.prototype.clear = function () {
+    var statements = this.statements;
+
+    this.statements = {};
+    this.size = 0;
+    _.each(statements, close);
+};
+
+
+/**
+ * Closes a prepared statement, ignoring errors: the statement is dropped either way.
+ *
+ * @param statement prepared statement
+ */
+function close(statement) {
+    try {
+        statement.closeSync();
+    }
+    catch (e) {
+        // The connection is already closed
+    }
+}
+
+StatementCache.close = close;
+
+
+module.exports = StatementCache;
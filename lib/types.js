@@ -0,0 +1,201 @@
+var _ = require('lodash');
+
+
+/**
+ * Left pads a number with zeros.
+ *
+ * @param value number
+ * @param length expected length
+ * @returns {string}
+ */
+function pad(value, length) {
+    var str = String(value);
+    while (str.length < length) str = '0' + str;
+
+    return str;
+}
+
+/**
+ * Formats a date as a DB2 DATE string (YYYY-MM-DD).
+ *
+ * @param date Date object
+ * @returns {string}
+ */
+function formatDate(date) {
+    return pad(date.getFullYear(), 4) + '-' + pad(date.getMonth() + 1, 2) + '-' + pad(date.getDate(), 2);
+}
+
+/**
+ * Formats a date as a DB2 TIMESTAMP string (YYYY-MM-DD HH:MM:SS.ffffff).
+ *
+ * @param date Date object
+ * @returns {string}
+ */
+function formatTimestamp(date) {
+    return formatDate(date) + ' ' + pad(date.getHours(), 2) + ':' + pad(date.getMinutes(), 2) + ':' +
+        pad(date.getSeconds(), 2) + '.' + pad(date.getMilliseconds(), 3) + '000';
+}
+
+/**
+ * Formats a date as a DB2 TIME string (HH:MM:SS).
+ *
+ * @param date Date object
+ * @returns {string}
+ */
+function formatTime(date) {
+    return pad(date.getHours(), 2) + ':' + pad(date.getMinutes(), 2) + ':' + pad(date.getSeconds(), 2);
+}
+
+/**
+ * Parses a DB2 DATE or TIMESTAMP string into a Date. Both the ISO (YYYY-MM-DD HH:MM:SS) and the DB2 native
+ * (YYYY-MM-DD-HH.MM.SS) formats are understood.
+ *
+ * @param value date string
+ * @returns {Date|string} the parsed date, or the value itself when it cannot be parsed
+ */
+function parseDate(value) {
+    var match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T-](\d{2})[:.](\d{2})[:.](\d{2})(?:\.(\d{1,6}))?)?$/.exec(value.trim());
+    if (!match) return value;
+
+    return new Date(
+        Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+        Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0),
+        Math.floor(Number(((match[7] || '0') + '000000').substr(0, 6)) / 1000)
+    );
+}
+
+/**
+ * Converts any date-like value to a Date.
+ *
+ * @param value Date, date string or timestamp
+ * @returns {Date|*} the converted date, or the value itself when it cannot be converted
+ */
+function toDate(value) {
+    if (_.isDate(value)) return value;
+    if (_.isString(value)) {
+        var parsed = parseDate(value);
+        if (_.isDate(parsed)) return parsed;
+
+        parsed = new Date(value);
+        return isNaN(parsed.getTime()) ? value : parsed;
+    }
+    if (_.isNumber(value)) return new Date(value);
+
+    return value;
+}
+
+
+/**
+ * Converts a value to the representation bound to a DB2 statement parameter, according to the Waterline attribute
+ * type.
+ *
+ * @param attribute attribute definition (may be undefined for unknown attributes)
+ * @param value Waterline value
+ * @returns {*} value to bind
+ */
+exports.toDatabase = function (attribute, value) {
+    if (value === null || _.isUndefined(value)) return null;
+
+    var type = attribute && attribute.type,
+        date;
+
+    if (Buffer.isBuffer(value)) return {ParamType: 'INPUT', DataType: 'BLOB', Data: value};
+
+    switch (type) {
+        case 'date':
+            date = toDate(value);
+            return _.isDate(date) ? formatDate(date) : value;
+        case 'time':
+            if (_.isString(value) && /^\d{1,2}[:.]\d{2}([:.]\d{2})?$/.test(value.trim())) return value.trim().replace(/\./g, ':');
+
+            date = toDate(value);
+            return _.isDate(date) ? formatTime(date) : value;
+        case 'datetime':
+            date = toDate(value);
+            return _.isDate(date) ? formatTimestamp(date) : value;
+        case 'boolean':
+            if (_.isString(value)) value = value !== 'false' && value !== '0' && value !== '';
+            return value ? 1 : 0;
+        case 'integer':
+        case 'float':
+            return _.isNumber(value) ? value : Number(value);
+        case 'json':
+        case 'array':
+            return JSON.stringify(value);
+        case 'binary':
+            return {ParamType: 'INPUT', DataType: 'BLOB', Data: Buffer.from(value)};
+    }
+
+    if (_.isDate(value)) return formatTimestamp(value);
+    if (_.isBoolean(value)) return value ? 1 : 0;
+    if (_.isArray(value) || _.isPlainObject(value)) return JSON.stringify(value);
+
+    return value;
+};
+
+/**
+ * Converts a value read from DB2 back to its Waterline type: BOOLEAN and SMALLINT columns both give booleans, and
+ * json / array attributes are deserialized.
+ *
+ * @param attribute attribute definition (may be undefined for unknown columns)
+ * @param value DB2 value
+ * @returns {*} Waterline value
+ */
+exports.fromDatabase = function (attribute, value) {
+    if (value === null || _.isUndefined(value) || !attribute) return value;
+
+    switch (attribute.type) {
+        case 'date':
+        case 'datetime':
+            return toDate(value);
+        case 'time':
+            // TIME columns have no date part: they're read as HH:MM:SS strings
+            return _.isDate(value) ? formatTime(value) : String(value).trim();
+        case 'boolean':
+            if (_.isString(value)) return value.trim() !== '0' && value.trim().toLowerCase() !== 'false';
+            return !!value;
+        case 'integer':
+            return _.isString(value) ? parseInt(value, 10) : value;
+        case 'float':
+            return _.isString(value) ? parseFloat(value) : value;
+        case 'json':
+        case 'array':
+            if (!_.isString(value)) return value;
+            try {
+                return JSON.parse(value);
+            }
+            catch (e) {
+                return value;
+            }
+        case 'string':
+        case 'text':
+            return Buffer.isBuffer(value) ? value.toString() : value;
+    }
+
+    return value;
+};
+
+/**
+ * Converts a record read from DB2 back to a Waterline record: columns are renamed after the attribute they store and
+ * values are converted back to their Waterline type. DB2 folds unquoted identifiers to upper case, so columns are
+ * matched to attribute names (or to their columnName) case insensitively; unknown columns are kept as they are.
+ *
+ * @param collection collection object
+ * @param record record as returned by ibm_db
+ * @returns {Object} converted record
+ */
+exports.castRecord = function (collection, record) {
+    if (!_.isObject(record)) return record;
+
+    var attrNames = {};
+
+    _.each(collection.definition, function (attribute, attrName) {
+        if (attribute.columnName) attrNames[String(attribute.columnName).toUpperCase()] = attrName;
+        attrNames[attrName.toUpperCase()] = attrName;
+    });
+
+    return _.transform(record, function (result, value, column) {
+        var attrName = collection.definition.hasOwnProperty(column) ? column : attrNames[column.toUpperCase()] || column;
+        result[attrName] = exports.fromDatabase(collection.definition[attrName], value);
+    });
+};
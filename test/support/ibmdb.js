@@ -0,0 +1,158 @@
+var _ = require('lodash');
+
+
+/**
+ * Creates a stand-in for the ibm_db module, to give to the adapter with the ibmdb connection option. Every call made
+ * on its connections is recorded in `log` as {conn, sql, params}: statements by their SQL, the other calls as OPEN,
+ * CLOSE, BEGIN, COMMIT and ROLLBACK. Statements other than SET ones are answered, in order, with the rows (or errors)
+ * queued in `results`, an empty result when there's none left; `fail(method, err)` makes the next open, beginTransaction,
+ * commitTransaction or rollbackTransaction call fail.
+ *
+ * @returns {Object} ibm_db module
+ */
+module.exports = function () {
+    var driver = {
+            SQL_ATTR_QUERY_TIMEOUT: 0,
+            log: [],
+            results: [],
+            failures: {},
+            opened: 0
+        },
+        record = function (conn, sql, params) {
+            driver.log.push({conn: conn.id, sql: sql, params: params || []});
+        },
+        failure = function (method) {
+            return driver.failures[method] && driver.failures[method].shift() || null;
+        },
+        run = function (conn, sql, params, cb) {
+            // SET statements (i.e. SET CURRENT SCHEMA on connect) don't take a queued result
+            var result = driver.results.length > 0 && !/^SET /i.test(sql) ? driver.results.shift() : [];
+
+            record(conn, sql, params);
+            setImmediate(function () {
+                if (result instanceof Error) return cb(result);
+
+                return cb(null, _.map(result, _.clone));
+            });
+        };
+
+    function Connection(id) {
+        this.id = id;
+        this.connected = true;
+    }
+
+    Connection.prototype.query = function (sql, params, cb) {
+        if (_.isFunction(params)) {
+            cb = params;
+            params = [];
+        }
+        if (_.isPlainObject(sql)) {
+            cb = params;
+            params = sql.params;
+            sql = sql.sql;
+        }
+
+        return run(this, sql, params, cb);
+    };
+
+    Connection.prototype.prepare = function (sql, cb) {
+        var conn = this,
+            statement = {
+                sql: sql,
+                attributes: {},
+                setAttr: function (attribute, value, cb) {
+                    statement.attributes[attribute] = value;
+                    setImmediate(cb);
+                },
+                execute: function (params, cb) {
+                    run(conn, sql, params, function (err, rows) {
+                        var position = 0;
+
+                        if (err) return cb(err);
+
+                        return cb(null, {
+                            fetch: function (cb) {
+                                var row = position < rows.length ? rows[position++] : null;
+
+                                setImmediate(function () {
+                                    cb(null, row);
+                                });
+                            },
+                            fetchAll: function (cb) {
+                                setImmediate(function () {
+                                    cb(null, rows.slice(position));
+                                });
+                            },
+                            closeSync: function () {
+                            }
+                        });
+                    });
+                },
+                closeSync: function () {
+                }
+            };
+
+        setImmediate(function () {
+            cb(null, statement);
+        });
+    };
+
+    _.each({beginTransaction: 'BEGIN', commitTransaction: 'COMMIT', rollbackTransaction: 'ROLLBACK'}, function (sql, method) {
+        Connection.prototype[method] = function (cb) {
+            var err = failure(method);
+
+            record(this, sql);
+            setImmediate(function () {
+                cb(err);
+            });
+        };
+    });
+
+    Connection.prototype.close = function (cb) {
+        this.connected = false;
+        record(this, 'CLOSE');
+        setImmediate(cb);
+    };
+
+    driver.open = function (connectionString, cb) {
+        var err = failure('open'),
+            conn = err ? null : new Connection(++driver.opened);
+
+        if (conn) record(conn, 'OPEN');
+        setImmediate(function () {
+            cb(err, conn);
+        });
+    };
+
+    driver.fail = function (method, err) {
+        (driver.failures[method] = driver.failures[method] || []).push(err);
+    };
+
+    /**
+     * Gives the SQL of the recorded calls, only the ones made on a connection when its id is given.
+     *
+     * @param conn connection id (optional)
+     * @returns {Array} statements
+     */
+    driver.statements = function (conn) {
+        return _.pluck(_.filter(driver.log, function (entry) {
+            return !conn || entry.conn === conn;
+        }), 'sql');
+    };
+
+    return driver;
+};
+
+/**
+ * Creates a DB2 error, as ibm_db reports them.
+ *
+ * @param state SQLSTATE
+ * @param message error message (optional)
+ * @returns {Error}
+ */
+module.exports.error = function (state, message) {
+    var err = new Error(message || '[IBM][CLI Driver] SQLSTATE=' + state);
+
+    err.state = state;
+    return err;
+};
@@ -0,0 +1,209 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('create', function () {
+    var driver,
+        definition,
+        insert = function (rows) {
+            return 'SELECT "ID" AS "id","NAME" AS "name","DATA" AS "data" FROM FINAL TABLE (INSERT INTO users ("NAME") VALUES ' +
+                rows + ')' + (rows.indexOf(',') !== -1 ? ' ORDER BY INPUT SEQUENCE' : '');
+        },
+        register = function (config, done) {
+            adapter.registerConnection(_.extend({}, adapter.defaults, {
+                identity: 'create',
+                ibmdb: driver,
+                pool: {max: 1},
+                validateConnection: false,
+                retry: false,
+                batchSize: 2
+            }, config), {
+                user: {
+                    identity: 'user',
+                    tableName: 'users',
+                    definition: definition
+                }
+            }, done);
+        };
+
+    beforeEach(function () {
+        driver = ibmdb();
+        definition = {
+            id: {type: 'integer', primaryKey: true, autoIncrement: true},
+            name: {type: 'string'},
+            data: {type: 'binary'}
+        };
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('create', done);
+    });
+
+    it('gives the created record back, with its generated values', function (done) {
+        register({}, function () {
+            driver.results.push([{ID: 7, NAME: 'a', DATA: null}]);
+
+            adapter.create('create', 'user', {name: 'a', unknown: 'b'}, function (err, record) {
+                assert.ifError(err);
+                assert.deepEqual(record, {id: 7, name: 'a', data: null});
+                assert.deepEqual(driver.statements(), ['OPEN', insert('(?)')]);
+                assert.deepEqual(driver.log[1].params, ['a']);
+                done();
+            });
+        });
+    });
+
+    it('reports values that can\'t be converted, without leaking the connection', function (done) {
+        register({}, function () {
+            adapter.create('create', 'user', {data: 5}, function (err) {
+                assert.ok(err);
+
+                adapter.find('create', 'user', {}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT "ID" AS "id","NAME" AS "name","DATA" AS "data" FROM users']);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('generated keys', function () {
+        it('writes the next sequence value and a new UUID when missing or null', function (done) {
+            definition = {
+                id: {type: 'integer', primaryKey: true, autoIncrement: true, sequence: 'USERS_SEQ'},
+                code: {type: 'string', uuid: true},
+                name: {type: 'string'}
+            };
+
+            register({}, function () {
+                adapter.create('create', 'user', {name: 'a', code: null}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT "ID" AS "id","CODE" AS "code","NAME" AS "name" FROM FINAL TABLE ' +
+                        '(INSERT INTO users ("ID","CODE","NAME") VALUES (NEXT VALUE FOR USERS_SEQ,?,?))']);
+                    assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(driver.log[1].params[0]));
+                    assert.equal(driver.log[1].params[1], 'a');
+                    done();
+                });
+            });
+        });
+
+        it('writes the values given for BY DEFAULT identities', function (done) {
+            definition.id.generated = 'byDefault';
+
+            register({}, function () {
+                adapter.create('create', 'user', {id: 5, name: 'a'}, function (err) {
+                    assert.ifError(err);
+                    assert.ok(driver.statements()[1].indexOf('INSERT INTO users ("ID","NAME") VALUES (?,?)') !== -1);
+                    done();
+                });
+            });
+        });
+
+        it('inserts the primary key DEFAULT for records without values', function (done) {
+            register({}, function () {
+                adapter.createEach('create', 'user', [{}, {}], function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'SELECT "ID" AS "id","NAME" AS "name","DATA" AS "data" FROM FINAL TABLE ' +
+                        '(INSERT INTO users ("ID") VALUES (DEFAULT),(DEFAULT)) ORDER BY INPUT SEQUENCE', 'COMMIT']);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('createEach', function () {
+        it('inserts batches of batchSize records in a transaction', function (done) {
+            register({}, function () {
+                driver.results.push([{ID: 1, NAME: 'a'}, {ID: 2, NAME: 'b'}], [{ID: 3, NAME: 'c'}]);
+
+                adapter.createEach('create', 'user', [{name: 'a'}, {name: 'b'}, {name: 'c'}], function (err, records) {
+                    assert.ifError(err);
+                    assert.deepEqual(_.pluck(records, 'id'), [1, 2, 3]);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', insert('(?),(?)'), insert('(?)'), 'COMMIT']);
+                    assert.deepEqual(driver.log[3].params, ['c']);
+                    done();
+                });
+            });
+        });
+
+        it('rolls every batch back when one fails', function (done) {
+            register({}, function () {
+                driver.results.push([{ID: 1}, {ID: 2}], ibmdb.error('23505'));
+
+                adapter.createEach('create', 'user', [{name: 'a'}, {name: 'b'}, {name: 'c'}], function (err) {
+                    assert.equal(err.code, 'E_UNIQUE');
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', insert('(?),(?)'), insert('(?)'), 'ROLLBACK']);
+                    done();
+                });
+            });
+        });
+
+        it('rolls back when the commit fails', function (done) {
+            register({}, function () {
+                driver.fail('commitTransaction', ibmdb.error('40001'));
+
+                adapter.createEach('create', 'user', [{name: 'a'}], function (err) {
+                    assert.equal(err.code, 'E_DEADLOCK');
+
+                    // The connection went back to the pool without a transaction left open
+                    adapter.find('create', 'user', {}, function (err) {
+                        assert.ifError(err);
+                        assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', insert('(?)'), 'COMMIT', 'ROLLBACK',
+                            'SELECT "ID" AS "id","NAME" AS "name","DATA" AS "data" FROM users']);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('closes the connection when the rollback fails too', function (done) {
+            register({}, function () {
+                driver.fail('commitTransaction', ibmdb.error('40001'));
+                driver.fail('rollbackTransaction', ibmdb.error('58004'));
+
+                adapter.createEach('create', 'user', [{name: 'a'}], function (err) {
+                    assert.equal(err.code, 'E_DEADLOCK');
+
+                    adapter.find('create', 'user', {}, function (err) {
+                        assert.ifError(err);
+                        assert.deepEqual(driver.statements(1), ['OPEN', 'BEGIN', insert('(?)'), 'COMMIT', 'ROLLBACK', 'CLOSE']);
+                        assert.deepEqual(driver.statements(2), ['OPEN', 'SELECT "ID" AS "id","NAME" AS "name","DATA" AS "data" FROM users']);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('inserts in the transaction of a transaction handle', function (done) {
+            register({}, function () {
+                adapter.beginTransaction('create', function (err, transaction) {
+                    adapter.createEach(transaction, 'user', [{name: 'a'}], function (err) {
+                        assert.ifError(err);
+
+                        adapter.rollback(transaction, function () {
+                            assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', insert('(?)'), 'ROLLBACK']);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+
+        it('reports values that can\'t be converted, without leaking the connection', function (done) {
+            register({}, function () {
+                adapter.createEach('create', 'user', [{name: 'a', data: 5}], function (err) {
+                    assert.ok(err);
+
+                    adapter.find('create', 'user', {}, function (err) {
+                        assert.ifError(err);
+                        assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'ROLLBACK',
+                            'SELECT "ID" AS "id","NAME" AS "name","DATA" AS "data" FROM users']);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+});
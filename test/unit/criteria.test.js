@@ -0,0 +1,202 @@
+var assert = require('assert');
+var _ = require('lodash');
+var criteria = require('../../lib/criteria');
+
+
+describe('criteria', function () {
+    var collection = {
+        definition: {
+            id: {type: 'integer', primaryKey: true},
+            firstName: {type: 'string'},
+            age: {type: 'integer'},
+            active: {type: 'boolean'},
+            email: {type: 'string', columnName: 'mail_address'}
+        }
+    };
+
+    describe('getColumnName', function () {
+        it('folds attribute names to upper case by default', function () {
+            assert.equal(criteria.getColumnName('firstName', collection.definition.firstName), '"FIRSTNAME"');
+        });
+
+        it('uses the attribute columnName', function () {
+            assert.equal(criteria.getColumnName('email', collection.definition.email), '"MAIL_ADDRESS"');
+        });
+
+        it('keeps the case with identifierCase exact', function () {
+            assert.equal(criteria.getColumnName('firstName', collection.definition.firstName, 'exact'), '"firstName"');
+        });
+
+        it('doubles embedded quotes', function () {
+            assert.equal(criteria.quoteIdentifier('a"b'), '"a""b"');
+        });
+    });
+
+    describe('buildWhere', function () {
+        it('gives an empty clause without conditions', function () {
+            assert.deepEqual(criteria.buildWhere(collection, {}), {query: '', condition: '', params: []});
+            assert.deepEqual(criteria.buildWhere(collection, null), {query: '', condition: '', params: []});
+        });
+
+        it('binds equalities as typed parameters', function () {
+            var where = criteria.buildWhere(collection, {firstName: 'bob', active: true});
+
+            assert.equal(where.query, ' WHERE ("FIRSTNAME" = ? AND "ACTIVE" = ?)');
+            assert.deepEqual(where.params, ['bob', 1]);
+        });
+
+        it('compiles null checks, IN lists and empty IN lists', function () {
+            assert.equal(criteria.buildWhere(collection, {age: null}).condition, '"AGE" IS NULL');
+            assert.equal(criteria.buildWhere(collection, {age: [1, null]}).condition, '("AGE" IN (?) OR "AGE" IS NULL)');
+            assert.equal(criteria.buildWhere(collection, {age: []}).condition, '1 = 0');
+            assert.equal(criteria.buildWhere(collection, {age: {nin: []}}).condition, '1 = 1');
+        });
+
+        it('compiles comparison modifiers', function () {
+            var where = criteria.buildWhere(collection, {age: {'>=': 18, lessThan: 65}});
+
+            assert.equal(where.condition, '("AGE" >= ? AND "AGE" < ?)');
+            assert.deepEqual(where.params, [18, 65]);
+        });
+
+        it('negates equalities, lists and modifiers', function () {
+            assert.equal(criteria.buildWhere(collection, {age: {not: 3}}).condition, '"AGE" <> ?');
+            assert.equal(criteria.buildWhere(collection, {age: {'!': null}}).condition, '"AGE" IS NOT NULL');
+            assert.equal(criteria.buildWhere(collection, {age: {'!': [1, 2]}}).condition, '"AGE" NOT IN (?,?)');
+            assert.equal(criteria.buildWhere(collection, {age: {'!': {'>': 3}}}).condition, 'NOT ("AGE" > ?)');
+            assert.equal(criteria.buildWhere(collection, {firstName: {not: {like: 'b%'}}}).condition, 'LOWER("FIRSTNAME") NOT LIKE ?');
+        });
+
+        it('escapes the wildcards of contains, startsWith and endsWith', function () {
+            var where = criteria.buildWhere(collection, {firstName: {contains: '10%_\\'}});
+
+            assert.equal(where.condition, 'LOWER("FIRSTNAME") LIKE ? ESCAPE \'\\\'');
+            assert.deepEqual(where.params, ['%10\\%\\_\\\\%']);
+            assert.deepEqual(criteria.buildWhere(collection, {firstName: {startsWith: 'A'}}).params, ['a%']);
+            assert.deepEqual(criteria.buildWhere(collection, {firstName: {endsWith: 'a'}}).params, ['%a']);
+        });
+
+        it('uses like patterns as they are, without an escape character', function () {
+            var where = criteria.buildWhere(collection, {like: {firstName: 'C:\\Dir%'}});
+
+            assert.equal(where.condition, 'LOWER("FIRSTNAME") LIKE ?');
+            assert.deepEqual(where.params, ['c:\\dir%']);
+        });
+
+        it('compiles or and and clauses', function () {
+            var where = criteria.buildWhere(collection, {or: [{age: 1}, {firstName: 'bob'}], and: [{active: false}]});
+
+            assert.equal(where.condition, '(("AGE" = ? OR "FIRSTNAME" = ?) AND "ACTIVE" = ?)');
+            assert.deepEqual(where.params, [1, 'bob', 0]);
+        });
+
+        it('qualifies columns with the alias', function () {
+            assert.equal(criteria.buildWhere(collection, {email: 'x'}, 'P').condition, 'P."MAIL_ADDRESS" = ?');
+        });
+
+        it('rejects unknown attributes, in or branches too', function () {
+            assert.throws(function () {
+                criteria.buildWhere(collection, {email: 'x', unknown: 1});
+            }, /Unknown attribute `unknown`/);
+            assert.throws(function () {
+                criteria.buildWhere(collection, {or: [{nmae: 'x'}]});
+            }, /Unknown attribute `nmae`/);
+            assert.throws(function () {
+                criteria.buildWhere(collection, {like: {nmae: 'x%'}});
+            }, /Unknown attribute `nmae`/);
+        });
+
+        it('keeps or branches without any condition always true', function () {
+            assert.equal(criteria.buildWhere(collection, {or: [{}, {age: 1}]}).condition, '(1 = 1 OR "AGE" = ?)');
+        });
+
+        it('rejects unsupported modifiers', function () {
+            assert.throws(function () {
+                criteria.buildWhere(collection, {age: {between: [1, 2]}});
+            }, /Unsupported criteria modifier `between`/);
+        });
+    });
+
+    describe('buildSort', function () {
+        it('accepts numeric and textual directions', function () {
+            assert.equal(criteria.buildSort(collection, {age: -1, firstName: 'asc'}), ' ORDER BY "AGE" DESC, "FIRSTNAME" ASC');
+            assert.equal(criteria.buildSort(collection, {}), '');
+        });
+
+        it('rejects invalid directions', function () {
+            assert.throws(function () {
+                criteria.buildSort(collection, {age: 'up'});
+            }, /Invalid sort direction/);
+        });
+    });
+
+    describe('buildSelect', function () {
+        var parts = {select: '"A"', from: ' FROM T', where: ' WHERE "A" = ?', orderBy: ' ORDER BY "A" ASC'};
+
+        it('fetches the first rows without skip', function () {
+            assert.equal(criteria.buildSelect(parts, {limit: 5}, 'offset'), 'SELECT "A" FROM T WHERE "A" = ? ORDER BY "A" ASC FETCH FIRST 5 ROWS ONLY');
+        });
+
+        it('pages with OFFSET', function () {
+            assert.equal(criteria.buildSelect(parts, {skip: 10, limit: 5}, 'offset'),
+                'SELECT "A" FROM T WHERE "A" = ? ORDER BY "A" ASC OFFSET 10 ROWS FETCH FIRST 5 ROWS ONLY');
+        });
+
+        it('pages on ROW_NUMBER with the rownumber strategy', function () {
+            assert.equal(criteria.buildSelect(parts, {skip: 10, limit: 5}, 'rownumber'),
+                'SELECT "A" FROM (SELECT "A", ROW_NUMBER() OVER(ORDER BY "A" ASC) AS ROW_NUMBER__ FROM T WHERE "A" = ?) AS PAGED__' +
+                ' WHERE ROW_NUMBER__ > 10 AND ROW_NUMBER__ <= 15 ORDER BY ROW_NUMBER__');
+        });
+
+        it('selects an empty range for a zero limit', function () {
+            assert.equal(criteria.buildSelect(parts, {limit: 0}, 'offset'),
+                'SELECT "A" FROM (SELECT "A", ROW_NUMBER() OVER(ORDER BY "A" ASC) AS ROW_NUMBER__ FROM T WHERE "A" = ?) AS PAGED__' +
+                ' WHERE ROW_NUMBER__ > 0 AND ROW_NUMBER__ <= 0 ORDER BY ROW_NUMBER__');
+        });
+
+        it('ignores empty values and rejects invalid ones', function () {
+            assert.equal(criteria.buildSelect(parts, {limit: '', skip: null}, 'offset'), 'SELECT "A" FROM T WHERE "A" = ? ORDER BY "A" ASC');
+            assert.throws(function () {
+                criteria.buildSelect(parts, {limit: -1}, 'offset');
+            }, /Invalid limit `-1`/);
+            assert.throws(function () {
+                criteria.buildSelect(parts, {skip: 1.5}, 'offset');
+            }, /Invalid skip `1.5`/);
+        });
+    });
+
+    describe('buildPartitionedSelect', function () {
+        var parts = {select: 'C."A"', columns: '"A"', partitionBy: 'C."P"', from: ' FROM T C', where: ' WHERE C."P" IN (?)'};
+
+        it('sorts by parent without skip or limit', function () {
+            assert.equal(criteria.buildPartitionedSelect(_.extend({orderBy: ' ORDER BY C."A" ASC'}, parts), {}),
+                'SELECT C."A" FROM T C WHERE C."P" IN (?) ORDER BY C."P", C."A" ASC');
+        });
+
+        it('pages every parent separately', function () {
+            assert.equal(criteria.buildPartitionedSelect(parts, {skip: 1, limit: 2}),
+                'SELECT "A" FROM (SELECT C."A", ROW_NUMBER() OVER(PARTITION BY C."P") AS ROW_NUMBER__ FROM T C WHERE C."P" IN (?))' +
+                ' AS PAGED__ WHERE ROW_NUMBER__ > 1 AND ROW_NUMBER__ <= 3 ORDER BY PARENT__, ROW_NUMBER__');
+        });
+    });
+
+    describe('buildAggregate', function () {
+        it('gives null without aggregates', function () {
+            assert.strictEqual(criteria.buildAggregate(collection, {}), null);
+        });
+
+        it('aliases aggregates with the attribute name and groups by columns', function () {
+            var aggregate = criteria.buildAggregate(collection, {sum: 'age', average: ['age'], groupBy: ['email']});
+
+            assert.equal(aggregate.select, '"MAIL_ADDRESS" AS "email", SUM("AGE") AS "age", AVG(CAST("AGE" AS DOUBLE)) AS "age"');
+            assert.equal(aggregate.groupBy, ' GROUP BY "MAIL_ADDRESS"');
+            assert.deepEqual(aggregate.groupAttributes, ['email']);
+        });
+
+        it('rejects groupBy without aggregates', function () {
+            assert.throws(function () {
+                criteria.buildAggregate(collection, {groupBy: 'age'});
+            }, /groupBy must be used together with an aggregate/);
+        });
+    });
+});
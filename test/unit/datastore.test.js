@@ -0,0 +1,132 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('Waterline 0.13 datastores', function () {
+    var driver,
+        select = 'SELECT "ID" AS "ID","FULL_NAME" AS "FULL_NAME","AGE" AS "AGE" FROM users';
+
+    beforeEach(function (done) {
+        driver = ibmdb();
+        adapter.registerDatastore(_.extend({}, adapter.defaults, {
+            identity: 'store',
+            ibmdb: driver,
+            pool: {max: 1},
+            validateConnection: false,
+            retry: false
+        }), {
+            user: {
+                identity: 'user',
+                tableName: 'users',
+                primaryKey: 'id',
+                definition: {
+                    id: {type: 'number', columnName: 'ID', autoMigrations: {columnType: '_numberkey', autoIncrement: true}},
+                    fullName: {type: 'string', columnName: 'FULL_NAME', autoMigrations: {columnType: 'varchar(80)'}},
+                    age: {type: 'number', columnName: 'AGE', autoMigrations: {columnType: '_number'}}
+                }
+            }
+        }, done);
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('store', done);
+    });
+
+    it('runs stage 3 queries', function (done) {
+        driver.results.push([{ID: 1, FULL_NAME: 'bob', AGE: 3}]);
+
+        adapter.find('store', {
+            using: 'users',
+            criteria: {where: {AGE: {'>': 2}}, select: ['*'], sort: [{FULL_NAME: 'DESC'}], limit: 9007199254740991, skip: 0}
+        }, function (err, records) {
+            assert.ifError(err);
+            assert.deepEqual(records, [{ID: 1, FULL_NAME: 'bob', AGE: 3}]);
+            assert.deepEqual(driver.statements(), ['OPEN', select + ' WHERE "AGE" > ? ORDER BY "FULL_NAME" DESC']);
+            done();
+        });
+    });
+
+    it('gives created records back with the fetch meta flag only', function (done) {
+        driver.results.push([{ID: 1, FULL_NAME: 'bob', AGE: 3}], [{ID: 2, FULL_NAME: 'ann', AGE: 4}]);
+
+        adapter.create('store', {using: 'users', newRecord: {FULL_NAME: 'bob', AGE: 3}}, function (err, record) {
+            assert.ifError(err);
+            assert.strictEqual(record, undefined);
+
+            adapter.create('store', {using: 'users', newRecord: {FULL_NAME: 'ann', AGE: 4}, meta: {fetch: true}}, function (err, record) {
+                assert.ifError(err);
+                assert.deepEqual(record, {ID: 2, FULL_NAME: 'ann', AGE: 4});
+                done();
+            });
+        });
+    });
+
+    it('sums and averages to 0 when no record matches', function (done) {
+        driver.results.push([{AGE: 7}], [{AGE: null}]);
+
+        adapter.sum('store', {using: 'users', criteria: {where: {}}, numericAttrName: 'AGE'}, function (err, sum) {
+            assert.ifError(err);
+            assert.strictEqual(sum, 7);
+
+            adapter.avg('store', {using: 'users', criteria: {where: {}}, numericAttrName: 'AGE'}, function (err, avg) {
+                assert.ifError(err);
+                assert.strictEqual(avg, 0);
+                done();
+            });
+        });
+    });
+
+    it('reports unknown datastores and tables', function (done) {
+        adapter.find('nowhere', {using: 'users'}, function (err) {
+            assert.ok(/Unknown datastore `nowhere`/.test(err.message));
+
+            adapter.find('store', {using: 'teams'}, function (err) {
+                assert.ok(/Unknown table `teams`/.test(err.message));
+                done();
+            });
+        });
+    });
+
+    describe('driver', function () {
+        it('leases connections that queries given in their meta run on', function (done) {
+            var manager = adapter.datastores.store.manager;
+
+            adapter.datastores.store.driver.getConnection({manager: manager}, {
+                success: function (result) {
+                    adapter.find('store', {using: 'users', meta: {leasedConnection: result.connection}}, function (err) {
+                        assert.ifError(err);
+
+                        adapter.datastores.store.driver.releaseConnection({connection: result.connection}, function (err) {
+                            assert.ifError(err);
+
+                            // Given back to the pool, not closed
+                            adapter.find('store', {using: 'users'}, function (err) {
+                                assert.ifError(err);
+                                assert.deepEqual(driver.statements(), ['OPEN', select, select]);
+                                done();
+                            });
+                        });
+                    });
+                },
+                failed: done,
+                error: done
+            });
+        });
+
+        it('calls the failed exit when no connection can be opened', function (done) {
+            driver.fail('open', ibmdb.error('08001'));
+
+            adapter.datastores.store.driver.getConnection({manager: adapter.datastores.store.manager}, {
+                success: function () {
+                    done(new Error('leased a connection'));
+                },
+                failed: function (report) {
+                    assert.equal(report.error.code, 'E_CONNECTION');
+                    done();
+                }
+            });
+        });
+    });
+});
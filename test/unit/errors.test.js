@@ -0,0 +1,95 @@
+var assert = require('assert');
+var errors = require('../../lib/errors');
+
+
+describe('errors', function () {
+    var collection = {
+        tableName: 'users',
+        definition: {
+            id: {type: 'integer', primaryKey: true},
+            email: {type: 'string', unique: true, columnName: 'mail'},
+            nick: {type: 'string', unique: true},
+            name: {type: 'string', required: true}
+        }
+    };
+
+    function db2Error(state, message, sqlcode) {
+        var err = new Error(message || 'SQL error');
+
+        if (state) err.state = state;
+        if (sqlcode) err.sqlcode = sqlcode;
+        return err;
+    }
+
+    describe('normalize', function () {
+        it('reports the attributes of the violated key as E_UNIQUE', function () {
+            var err = errors.normalize(db2Error('23505'), collection, {email: 'a@b', nick: 'x'}, ['MAIL']);
+
+            assert.equal(err.code, 'E_UNIQUE');
+            assert.deepEqual(err.invalidAttributes, {
+                email: [{value: 'a@b', rule: 'unique', message: 'A record with that `email` already exists'}]
+            });
+        });
+
+        it('falls back to the unique attributes written when the key is unknown', function () {
+            var err = errors.normalize(db2Error('23505'), collection, [{nick: 'x'}, {nick: 'y'}]);
+
+            assert.deepEqual(Object.keys(err.invalidAttributes), ['nick']);
+            assert.strictEqual(err.invalidAttributes.nick[0].value, undefined);
+        });
+
+        it('reports missing required attributes as E_VALIDATION', function () {
+            var err = errors.normalize(db2Error('23502'), collection, {name: null});
+
+            assert.equal(err.code, 'E_VALIDATION');
+            assert.deepEqual(Object.keys(err.invalidAttributes), ['name']);
+        });
+
+        it('maps SQLCODEs when the SQLSTATE is missing', function () {
+            assert.equal(errors.normalize(db2Error(null, 'x', -803)).code, 'E_UNIQUE');
+            assert.equal(errors.normalize(db2Error(null, 'x', -952)).code, 'E_TIMEOUT');
+        });
+
+        it('flags transient errors as retryable', function () {
+            assert.equal(errors.normalize(db2Error('40001')).code, 'E_DEADLOCK');
+            assert.ok(errors.isRetryable(db2Error('57033')));
+            assert.ok(errors.isRetryable(db2Error('08001')));
+            assert.ok(!errors.isRetryable(db2Error('42601')));
+        });
+
+        it('reports cancelled statements as E_TIMEOUT', function () {
+            var err = errors.normalize(db2Error('57014', 'SQL0952N Processing was cancelled due to an interrupt.'));
+
+            assert.equal(err.code, 'E_TIMEOUT');
+            assert.ok(/exceeded its timeout/.test(err.message));
+            assert.ok(!err.retryable);
+        });
+
+        it('keeps other errors, with their state', function () {
+            var original = db2Error('42601'),
+                err = errors.normalize(original);
+
+            assert.strictEqual(err, original);
+            assert.equal(err.state, '42601');
+            assert.strictEqual(errors.normalize(err), err);
+        });
+    });
+
+    describe('getKeyName', function () {
+        it('gives the index id or constraint name SQL0803N names', function () {
+            assert.equal(errors.getKeyName(db2Error('23505', 'SQL0803N ... identified by "2" constrains table "APP.USERS"')), '2');
+            assert.equal(errors.getKeyName(db2Error('23505', 'SQL0803N ... identified by "UQ_USERS_NICK" constrains')), 'UQ_USERS_NICK');
+            assert.strictEqual(errors.getKeyName(db2Error('23505', 'duplicate')), null);
+        });
+    });
+
+    describe('isUndefinedName', function () {
+        it('recognizes SQL0204N whatever the state reported', function () {
+            assert.ok(errors.isUndefinedName(db2Error('42704')));
+            assert.ok(errors.isUndefinedName(db2Error('42S02')));
+            assert.ok(errors.isUndefinedName(db2Error(null, 'x', -204)));
+            assert.ok(!errors.isUndefinedName(db2Error('42601')));
+            assert.ok(!errors.isUndefinedName(null));
+        });
+    });
+});
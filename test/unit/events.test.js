@@ -0,0 +1,149 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('query events', function () {
+    var driver,
+        events,
+        select = 'SELECT "ID" AS "id","NAME" AS "name" FROM users WHERE "NAME" = ?',
+        listeners = {
+            'query:start': function (event) {
+                events.push(['start', event]);
+            },
+            'query:end': function (event) {
+                events.push(['end', event]);
+            },
+            'query:error': function (event) {
+                events.push(['error', event]);
+            }
+        },
+        register = function (config, done) {
+            adapter.registerConnection(_.extend({}, adapter.defaults, {
+                identity: 'events',
+                ibmdb: driver,
+                pool: {max: 1},
+                validateConnection: false,
+                retry: false
+            }, config), {
+                user: {
+                    identity: 'user',
+                    tableName: 'users',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true, autoIncrement: true},
+                        name: {type: 'string'}
+                    }
+                }
+            }, done);
+        };
+
+    beforeEach(function () {
+        driver = ibmdb();
+        events = [];
+        _.each(listeners, function (listener, name) {
+            adapter.on(name, listener);
+        });
+    });
+
+    afterEach(function (done) {
+        _.each(listeners, function (listener, name) {
+            adapter.removeListener(name, listener);
+        });
+        adapter.teardown('events', done);
+    });
+
+    it('reports every statement once it starts and once it\'s over', function (done) {
+        register({}, function () {
+            driver.results.push([{ID: 1, NAME: 'bob'}, {ID: 2, NAME: 'bob'}]);
+
+            adapter.find('events', 'user', {where: {name: 'bob'}}, function (err) {
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(events, 0), ['start', 'end']);
+                assert.deepEqual(events[0][1], {connectionName: 'events', collection: 'user', sql: select, params: ['bob']});
+                assert.deepEqual(_.omit(events[1][1], 'duration'), {connectionName: 'events', collection: 'user', sql: select, params: ['bob'], rowCount: 2});
+                assert.ok(_.isNumber(events[1][1].duration));
+                done();
+            });
+        });
+    });
+
+    it('reports failed statements with their error', function (done) {
+        register({}, function () {
+            driver.results.push(ibmdb.error('42501'));
+
+            adapter.find('events', 'user', {where: {name: 'bob'}}, function (err) {
+                assert.ok(err);
+                assert.deepEqual(_.pluck(events, 0), ['start', 'error']);
+                assert.equal(events[1][1].error.state, '42501');
+                done();
+            });
+        });
+    });
+
+    it('redacts the bound parameters', function (done) {
+        register({redact: true}, function () {
+            adapter.find('events', 'user', {where: {name: 'bob'}}, function () {
+                assert.deepEqual(events[0][1].params, ['[REDACTED]']);
+
+                adapter.teardown('events', function () {
+                    events = [];
+
+                    register({redact: function (value, position, sql) {
+                        return sql === select && position === 0 ? value.charAt(0) + '***' : value;
+                    }}, function () {
+                        adapter.find('events', 'user', {where: {name: 'bob'}}, function () {
+                            assert.deepEqual(events[1][1].params, ['b***']);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('debug', function () {
+        var log = console.log,
+            lines;
+
+        beforeEach(function () {
+            lines = [];
+            console.log = function () {
+                lines.push(_.toArray(arguments));
+            };
+        });
+
+        afterEach(function () {
+            console.log = log;
+        });
+
+        it('logs the statements to the console as a line', function (done) {
+            register({debug: true}, function () {
+                adapter.find('events', 'user', {where: {name: 'bob'}}, function () {
+                    console.log = log;
+                    assert.equal(lines.length, 1);
+                    assert.equal(lines[0].length, 1);
+                    assert.ok(/^\[sails-db2\] events\/user: SELECT .* \["bob"\] \(\d+ms, 0 rows\)$/.test(lines[0][0]));
+                    done();
+                });
+            });
+        });
+
+        it('gives the configured logger the line and the event', function (done) {
+            var logged = [];
+
+            register({debug: true, redact: true, logger: {debug: function (line, event) {
+                logged.push([line, event]);
+            }}}, function () {
+                adapter.find('events', 'user', {where: {name: 'bob'}}, function () {
+                    console.log = log;
+                    assert.equal(lines.length, 0);
+                    assert.equal(logged.length, 1);
+                    assert.ok(logged[0][0].indexOf('["[REDACTED]"]') !== -1);
+                    assert.strictEqual(logged[0][1], events[1][1]);
+                    done();
+                });
+            });
+        });
+    });
+});
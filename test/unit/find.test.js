@@ -0,0 +1,225 @@
+var assert = require('assert');
+var stream = require('stream');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('find', function () {
+    var driver,
+        columns = '"ID" AS "id","NAME" AS "name","AGE" AS "age","MAIL_ADDRESS" AS "email","TEAM" AS "team"',
+        register = function (config, done) {
+            adapter.registerConnection(_.extend({}, adapter.defaults, {
+                identity: 'find',
+                ibmdb: driver,
+                pool: {max: 1},
+                validateConnection: false,
+                retry: false
+            }, config), {
+                user: {
+                    identity: 'user',
+                    tableName: 'users',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true, autoIncrement: true},
+                        name: {type: 'string'},
+                        age: {type: 'integer'},
+                        email: {type: 'string', columnName: 'mail_address'},
+                        team: {type: 'integer', model: 'team', foreignKey: true}
+                    }
+                },
+                team: {
+                    identity: 'team',
+                    tableName: 'teams',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true},
+                        title: {type: 'string'}
+                    }
+                },
+                pet: {
+                    identity: 'pet',
+                    tableName: 'pets',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true},
+                        owner: {type: 'integer'},
+                        kind: {type: 'string'}
+                    }
+                }
+            }, done);
+        };
+
+    beforeEach(function () {
+        driver = ibmdb();
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('find', done);
+    });
+
+    describe('pagination', function () {
+        it('pages with OFFSET and sorts', function (done) {
+            register({}, function () {
+                adapter.find('find', 'user', {where: {age: {'>': 3}}, skip: 10, limit: 5, sort: {name: 'desc', id: 1}}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT ' + columns + ' FROM users WHERE "AGE" > ?' +
+                        ' ORDER BY "NAME" DESC, "ID" ASC OFFSET 10 ROWS FETCH FIRST 5 ROWS ONLY']);
+                    done();
+                });
+            });
+        });
+
+        it('pages on ROW_NUMBER with the rownumber pagination', function (done) {
+            register({pagination: 'rownumber'}, function () {
+                adapter.find('find', 'user', {skip: 2, limit: 2, sort: {id: 1}}, function (err) {
+                    assert.ifError(err);
+                    assert.equal(driver.statements()[1], 'SELECT "id","name","age","email","team" FROM (SELECT ' + columns +
+                        ', ROW_NUMBER() OVER(ORDER BY "ID" ASC) AS ROW_NUMBER__ FROM users) AS PAGED__' +
+                        ' WHERE ROW_NUMBER__ > 2 AND ROW_NUMBER__ <= 4 ORDER BY ROW_NUMBER__');
+                    done();
+                });
+            });
+        });
+
+        it('rejects invalid sort directions without running anything', function (done) {
+            register({}, function () {
+                adapter.find('find', 'user', {sort: {name: 'up'}}, function (err) {
+                    assert.ok(/Invalid sort direction `up`/.test(err.message));
+                    assert.deepEqual(driver.statements(), ['OPEN']);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('count and aggregates', function () {
+        it('counts the matching records', function (done) {
+            register({}, function () {
+                driver.results.push([{COUNT: '4'}]);
+
+                adapter.count('find', 'user', {where: {age: 1}}, function (err, count) {
+                    assert.ifError(err);
+                    assert.strictEqual(count, 4);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT COUNT(*) AS COUNT FROM users WHERE "AGE" = ?']);
+                    done();
+                });
+            });
+        });
+
+        it('groups aggregates by the groupBy attributes', function (done) {
+            register({}, function () {
+                driver.results.push([{age: 3, id: '7'}]);
+
+                adapter.find('find', 'user', {groupBy: ['age'], sum: ['id']}, function (err, results) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT "AGE" AS "age", SUM("ID") AS "id" FROM users GROUP BY "AGE"']);
+                    assert.deepEqual(results, [{age: 3, id: 7}]);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('schema', function () {
+        it('qualifies tables with the schema option and sets the CURRENT SCHEMA on connect', function (done) {
+            register({schema: 'APP'}, function () {
+                adapter.find('find', 'team', {}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SET CURRENT SCHEMA = \'APP\'', 'SELECT "ID" AS "id","TITLE" AS "title" FROM APP.teams']);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('join', function () {
+        it('joins parents and loads children with one statement per association', function (done) {
+            register({}, function () {
+                driver.results.push([{id: 1, name: 'bob', J0__id: 2, J0__title: 'red'}, {id: 3, name: 'ann', J0__id: null, J0__title: null}]);
+                driver.results.push([{id: 5, owner: 1, kind: 'cat', PARENT__: 1}]);
+
+                adapter.join('find', 'user', {
+                    where: {},
+                    joins: [
+                        {parent: 'user', parentKey: 'team', child: 'team', childKey: 'id', alias: 'team', model: true, select: ['title']},
+                        {parent: 'user', parentKey: 'id', child: 'pet', childKey: 'owner', alias: 'pets', collection: true, criteria: {limit: 2}}
+                    ]
+                }, function (err, records) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN',
+                        'SELECT P."ID" AS "id",P."NAME" AS "name",P."AGE" AS "age",P."MAIL_ADDRESS" AS "email",P."TEAM" AS "team",' +
+                        'J0."TITLE" AS "J0__title",J0."ID" AS "J0__id" FROM users P LEFT OUTER JOIN teams J0 ON J0."ID" = P."TEAM"',
+                        'SELECT "id","owner","kind",PARENT__ FROM (SELECT C."ID" AS "id",C."OWNER" AS "owner",C."KIND" AS "kind",' +
+                        'C."OWNER" AS PARENT__, ROW_NUMBER() OVER(PARTITION BY C."OWNER") AS ROW_NUMBER__ FROM pets C WHERE C."OWNER" IN (?,?)) AS PAGED__' +
+                        ' WHERE ROW_NUMBER__ > 0 AND ROW_NUMBER__ <= 2 ORDER BY PARENT__, ROW_NUMBER__']);
+                    assert.deepEqual(driver.log[2].params, [1, 3]);
+                    assert.deepEqual(records[0].team, [{id: 2, title: 'red'}]);
+                    assert.deepEqual(records[0].pets, [{id: 5, owner: 1, kind: 'cat'}]);
+                    assert.deepEqual(records[1].team, []);
+                    assert.deepEqual(records[1].pets, []);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('stream', function () {
+        it('writes the matching records to the stream one by one', function (done) {
+            register({}, function () {
+                var records = [],
+                    output = new stream.PassThrough({objectMode: true});
+
+                driver.results.push([{ID: 1, NAME: 'a'}, {ID: 2, NAME: 'b'}]);
+                output.on('data', function (record) {
+                    records.push(record);
+                });
+                output.on('end', function () {
+                    assert.deepEqual(_.pluck(records, 'name'), ['a', 'b']);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT ' + columns + ' FROM users WHERE "NAME" <> ?']);
+                    done();
+                });
+
+                adapter.stream('find', 'user', {where: {name: {not: 'c'}}}, output);
+            });
+        });
+
+        it('emits the errors on the stream', function (done) {
+            register({}, function () {
+                var output = new stream.PassThrough({objectMode: true});
+
+                driver.results.push(ibmdb.error('42601'));
+                output.on('error', function (err) {
+                    assert.equal(err.state, '42601');
+                    done();
+                });
+
+                adapter.stream('find', 'user', {}, output);
+            });
+        });
+    });
+
+    describe('column names', function () {
+        it('selects columns under their attribute names and compares on them', function (done) {
+            register({identifierCase: 'exact'}, function () {
+                driver.results.push([{id: 1, name: 'a'}]);
+
+                adapter.find('find', 'team', {where: {title: 'x'}}, function (err, records) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', 'SELECT "id" AS "id","title" AS "title" FROM teams WHERE "title" = ?']);
+                    done();
+                });
+            });
+        });
+
+        it('maps columnName columns and upper case ones back to attributes', function (done) {
+            register({}, function () {
+                driver.results.push([{ID: 1, MAIL_ADDRESS: 'a@b', UNKNOWN: 2}]);
+
+                adapter.find('find', 'user', {where: {email: 'a@b'}}, function (err, records) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements()[1], 'SELECT ' + columns + ' FROM users WHERE "MAIL_ADDRESS" = ?');
+                    assert.deepEqual(records, [{id: 1, email: 'a@b', UNKNOWN: 2}]);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,144 @@
+var assert = require('assert');
+var Pool = require('../../lib/pool');
+
+
+describe('Pool', function () {
+    var opened,
+        closed,
+        open = function (cb) {
+            var conn = {
+                id: ++opened,
+                close: function (done) {
+                    closed.push(conn.id);
+                    setImmediate(done);
+                }
+            };
+
+            setImmediate(function () {
+                cb(null, conn);
+            });
+        };
+
+    beforeEach(function () {
+        opened = 0;
+        closed = [];
+    });
+
+    it('opens connections on demand and reuses released ones', function (done) {
+        var pool = new Pool(open, {max: 2});
+
+        pool.acquire(function (err, conn) {
+            assert.ifError(err);
+            pool.release(conn);
+
+            pool.acquire(function (err, again) {
+                assert.ifError(err);
+                assert.strictEqual(again, conn);
+                assert.equal(opened, 1);
+                done();
+            });
+        });
+    });
+
+    it('fills the pool up to min', function (done) {
+        var pool = new Pool(open, {min: 3});
+
+        pool.fill(function (err) {
+            assert.ifError(err);
+            assert.equal(pool.size, 3);
+            assert.equal(pool.idle.length, 3);
+            done();
+        });
+    });
+
+    it('hands released connections to waiting callers', function (done) {
+        var pool = new Pool(open, {max: 1});
+
+        pool.acquire(function (err, conn) {
+            pool.acquire(function (err, waited) {
+                assert.ifError(err);
+                assert.strictEqual(waited, conn);
+                done();
+            });
+
+            assert.equal(pool.waiting.length, 1);
+            pool.release(conn);
+        });
+    });
+
+    it('fails callers waiting longer than acquireTimeout', function (done) {
+        var pool = new Pool(open, {max: 1, acquireTimeout: 10});
+
+        pool.acquire(function () {
+            pool.acquire(function (err) {
+                assert.ok(/Timed out after 10ms/.test(err.message));
+                assert.equal(pool.waiting.length, 0);
+                done();
+            });
+        });
+    });
+
+    it('replaces idle connections that fail validation', function (done) {
+        var pool = new Pool(open, {max: 2}, function (conn, cb) {
+            cb(conn.id === 1 ? new Error('broken') : null);
+        });
+
+        pool.acquire(function (err, conn) {
+            pool.release(conn);
+
+            pool.acquire(function (err, replacement) {
+                assert.ifError(err);
+                assert.equal(replacement.id, 2);
+                setImmediate(function () {
+                    assert.deepEqual(closed, [1]);
+                    assert.equal(pool.size, 1);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('clears the statement cache of destroyed connections', function (done) {
+        var pool = new Pool(open);
+
+        pool.acquire(function (err, conn) {
+            var cleared = false;
+
+            conn.statementCache = {
+                clear: function () {
+                    cleared = true;
+                }
+            };
+            pool.destroy(conn);
+
+            assert.ok(cleared);
+            done();
+        });
+    });
+
+    it('closes every connection when drained', function (done) {
+        var pool = new Pool(open, {max: 2});
+
+        pool.acquire(function (err, first) {
+            pool.acquire(function (err, second) {
+                pool.release(first);
+
+                pool.drain(function () {
+                    assert.deepEqual(closed.sort(), [1, 2]);
+                    assert.equal(pool.size, 0);
+
+                    pool.acquire(function (err) {
+                        assert.ok(/being drained/.test(err.message));
+                        done();
+                    });
+                });
+
+                // Connections in use are closed once given back
+                setImmediate(function () {
+                    assert.deepEqual(closed, [1]);
+                    pool.release(second);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,146 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('retries', function () {
+    var driver,
+        select = 'SELECT "ID" AS "id","NAME" AS "name" FROM users',
+        insert = 'SELECT "ID" AS "id","NAME" AS "name" FROM FINAL TABLE (INSERT INTO users ("NAME") VALUES (?))',
+        register = function (config, done) {
+            adapter.registerConnection(_.extend({}, adapter.defaults, {
+                identity: 'retry',
+                ibmdb: driver,
+                pool: {max: 1},
+                retry: {retries: 2, minTimeout: 10, maxTimeout: 15, factor: 2}
+            }, config), {
+                user: {
+                    identity: 'user',
+                    tableName: 'users',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true, autoIncrement: true},
+                        name: {type: 'string'}
+                    }
+                }
+            }, done);
+        };
+
+    beforeEach(function () {
+        driver = ibmdb();
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('retry', done);
+    });
+
+    it('runs deadlocked statements again after a growing delay', function (done) {
+        register({validateConnection: false}, function () {
+            var startedAt = Date.now();
+
+            driver.results.push(ibmdb.error('40001'), ibmdb.error('40001'), [{id: 1, name: 'bob'}]);
+
+            adapter.find('retry', 'user', {}, function (err, records) {
+                assert.ifError(err);
+                assert.deepEqual(records, [{id: 1, name: 'bob'}]);
+                assert.deepEqual(driver.statements(), ['OPEN', select, select, select]);
+                // 10ms, then 20ms capped to maxTimeout
+                assert.ok(Date.now() - startedAt >= 25);
+                done();
+            });
+        });
+    });
+
+    it('gives up after the retries allowed', function (done) {
+        register({validateConnection: false}, function () {
+            driver.results.push(ibmdb.error('40001'), ibmdb.error('40001'), ibmdb.error('57033'));
+
+            adapter.find('retry', 'user', {}, function (err) {
+                // The last failure is reported
+                assert.equal(err.code, 'E_LOCK_TIMEOUT');
+                assert.deepEqual(driver.statements(), ['OPEN', select, select, select]);
+                done();
+            });
+        });
+    });
+
+    it('retries nothing with retry: false', function (done) {
+        register({validateConnection: false, retry: false}, function () {
+            driver.results.push(ibmdb.error('40001'));
+
+            adapter.find('retry', 'user', {}, function (err) {
+                assert.equal(err.code, 'E_DEADLOCK');
+                assert.deepEqual(driver.statements(), ['OPEN', select]);
+                done();
+            });
+        });
+    });
+
+    it('reads again on a new connection once the connection is lost', function (done) {
+        register({validateConnection: false}, function () {
+            driver.results.push(ibmdb.error('08S01'));
+
+            adapter.find('retry', 'user', {}, function (err) {
+                assert.ifError(err);
+                assert.deepEqual(driver.statements(), ['OPEN', select, 'CLOSE', 'OPEN', select]);
+                done();
+            });
+        });
+    });
+
+    it('writes only once when the connection is lost', function (done) {
+        register({validateConnection: false}, function () {
+            driver.results.push(ibmdb.error('08S01'));
+
+            adapter.create('retry', 'user', {name: 'bob'}, function (err) {
+                assert.equal(err.code, 'E_CONNECTION');
+                assert.deepEqual(driver.statements(), ['OPEN', insert, 'CLOSE']);
+                done();
+            });
+        });
+    });
+
+    it('retries writes that failed to connect', function (done) {
+        register({validateConnection: false}, function () {
+            driver.fail('open', ibmdb.error('08001'));
+            driver.results.push([{id: 1, name: 'bob'}]);
+
+            adapter.create('retry', 'user', {name: 'bob'}, function (err, record) {
+                assert.ifError(err);
+                assert.deepEqual(record, {id: 1, name: 'bob'});
+                assert.deepEqual(driver.statements(), ['OPEN', insert]);
+                done();
+            });
+        });
+    });
+
+    it('retries nothing inside a transaction', function (done) {
+        register({validateConnection: false}, function () {
+            adapter.beginTransaction('retry', function (err, transaction) {
+                driver.results.push(ibmdb.error('40001'));
+
+                adapter.find(transaction, 'user', {}, function (err) {
+                    assert.equal(err.code, 'E_DEADLOCK');
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', select]);
+
+                    adapter.rollback(transaction, done);
+                });
+            });
+        });
+    });
+
+    it('replaces pooled connections failing the validation query', function (done) {
+        register({}, function () {
+            adapter.find('retry', 'user', {}, function (err) {
+                assert.ifError(err);
+                driver.results.push(ibmdb.error('08003'));
+
+                adapter.find('retry', 'user', {}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.statements(), ['OPEN', select, 'SELECT 1 FROM SYSIBM.SYSDUMMY1', 'CLOSE', 'OPEN', select]);
+                    done();
+                });
+            });
+        });
+    });
+});
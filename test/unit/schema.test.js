@@ -0,0 +1,227 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('schema methods', function () {
+    var driver,
+        register = function (config, done) {
+            adapter.registerConnection(_.extend({}, adapter.defaults, {
+                identity: 'ddl',
+                ibmdb: driver,
+                pool: {max: 1},
+                validateConnection: false,
+                retry: false
+            }, config), {
+                user: {
+                    identity: 'user',
+                    tableName: 'users',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true, autoIncrement: true},
+                        email: {type: 'string', columnName: 'mail_address'}
+                    }
+                }
+            }, done);
+        },
+        // Statements run, without the connection ones
+        statements = function () {
+            return _.without(driver.statements(), 'OPEN', 'CLOSE');
+        };
+
+    beforeEach(function () {
+        driver = ibmdb();
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('ddl', done);
+    });
+
+    describe('addAttribute and removeAttribute', function () {
+        it('adds required columns with a default for the existing rows', function (done) {
+            register({}, function () {
+                adapter.addAttribute('ddl', 'user', 'nick', {type: 'string', unique: true, required: true}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(statements(), [
+                        'ALTER TABLE users ADD COLUMN "NICK" VARCHAR(255) NOT NULL WITH DEFAULT',
+                        'ALTER TABLE users ADD CONSTRAINT UQ_USERS_NICK UNIQUE ("NICK")'
+                    ]);
+                    done();
+                });
+            });
+        });
+
+        it('drops the constraints and indexes that exist, then the column', function (done) {
+            register({}, function () {
+                var undefinedName = ibmdb.error('42S02');
+
+                undefinedName.sqlcode = -204;
+                driver.results.push(ibmdb.error('42704'), [], undefinedName);
+
+                adapter.removeAttribute('ddl', 'user', 'email', function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(statements(), [
+                        'ALTER TABLE users DROP CONSTRAINT UQ_USERS_EMAIL',
+                        'DROP INDEX UQ_USERS_EMAIL',
+                        'DROP INDEX IX_USERS_EMAIL',
+                        'ALTER TABLE users DROP COLUMN "MAIL_ADDRESS"',
+                        'CALL SYSPROC.ADMIN_CMD(\'REORG TABLE users\')'
+                    ]);
+                    done();
+                });
+            });
+        });
+
+        it('stops on other errors', function (done) {
+            register({}, function () {
+                driver.results.push(ibmdb.error('42501'));
+
+                adapter.removeAttribute('ddl', 'user', 'email', function (err) {
+                    assert.equal(err.state, '42501');
+                    assert.equal(statements().length, 1);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('describe', function () {
+        it('reads the columns, keys and indexes from the catalog', function (done) {
+            register({schema: 'APP'}, function () {
+                driver.results.push([
+                    {COLNAME: 'ID', TYPENAME: 'BIGINT', LENGTH: 8, SCALE: 0, NULLS: 'N', DEFAULT: null, IDENTITY: 'Y', GENERATED: 'A'},
+                    {COLNAME: 'MAIL_ADDRESS', TYPENAME: 'VARCHAR', LENGTH: 120, SCALE: 0, NULLS: 'Y', DEFAULT: '\'x\'\'y\'', IDENTITY: 'N', GENERATED: ' '},
+                    {COLNAME: 'PRICE', TYPENAME: 'DECIMAL', LENGTH: 10, SCALE: 2, NULLS: 'Y', DEFAULT: '1.5', IDENTITY: 'N', GENERATED: ' '}
+                ], [
+                    {CONSTNAME: 'PK', TYPE: 'P', COLNAME: 'ID'}
+                ], [
+                    {INDNAME: 'UQ_USERS_EMAIL', COLNAMES: '+MAIL_ADDRESS', UNIQUERULE: 'U'},
+                    {INDNAME: 'IX_USERS_PRICE', COLNAMES: '+PRICE-ID', UNIQUERULE: 'D'}
+                ]);
+
+                adapter.describe('ddl', 'user', function (err, schema) {
+                    assert.ifError(err);
+                    assert.deepEqual(driver.log[2].params, ['APP', 'USERS']);
+                    assert.deepEqual(_.omit(schema.id, 'indexes'), {type: 'integer', size: 64, autoIncrement: true, generated: 'always', required: true, primaryKey: true, unique: true, index: true});
+                    assert.deepEqual(_.omit(schema.email, 'indexes'), {type: 'string', size: 120, defaultsTo: 'x\'y', unique: true});
+                    assert.deepEqual(_.omit(schema.PRICE, 'indexes'), {type: 'float', precision: 10, scale: 2, defaultsTo: 1.5, index: true});
+                    assert.deepEqual(schema.PRICE.indexes, [{name: 'IX_USERS_PRICE', columns: ['PRICE', 'ID'], unique: false, primary: false}]);
+                    done();
+                });
+            });
+        });
+
+        it('gives null for missing tables', function (done) {
+            register({}, function () {
+                adapter.describe('ddl', 'user', function (err, schema) {
+                    assert.ifError(err);
+                    assert.strictEqual(schema, null);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('constraints', function () {
+        it('declares unique constraints for required attributes and unique indexes excluding NULL keys otherwise', function (done) {
+            register({}, function () {
+                adapter.define('ddl', 'user', {
+                    id: {type: 'integer', primaryKey: true},
+                    email: {type: 'string', unique: true, required: true, columnName: 'mail_address'},
+                    nick: {type: 'string', unique: true},
+                    age: {type: 'integer', index: true, defaultsTo: 18}
+                }, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(statements(), [
+                        'CREATE TABLE users ("ID" INTEGER NOT NULL PRIMARY KEY,"MAIL_ADDRESS" VARCHAR(255) NOT NULL,"NICK" VARCHAR(255),' +
+                        '"AGE" INTEGER DEFAULT 18,CONSTRAINT UQ_USERS_EMAIL UNIQUE ("MAIL_ADDRESS"))',
+                        'CREATE UNIQUE INDEX UQ_USERS_NICK ON users ("NICK") EXCLUDE NULL KEYS',
+                        'CREATE INDEX IX_USERS_AGE ON users ("AGE")'
+                    ]);
+                    done();
+                });
+            });
+        });
+
+        it('keeps NULL keys in unique indexes with excludeNullKeys: false', function (done) {
+            register({excludeNullKeys: false}, function () {
+                adapter.define('ddl', 'user', {nick: {type: 'string', unique: true}}, function (err) {
+                    assert.ifError(err);
+                    assert.equal(statements()[1], 'CREATE UNIQUE INDEX UQ_USERS_NICK ON users ("NICK")');
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('column types', function () {
+        it('maps attribute types to DB2 column types', function (done) {
+            register({}, function () {
+                adapter.define('ddl', 'user', {
+                    bio: {type: 'text'},
+                    active: {type: 'boolean'},
+                    settings: {type: 'json'},
+                    price: {type: 'float', precision: 10, scale: 2},
+                    ratio: {type: 'float'},
+                    views: {type: 'integer', size: 64},
+                    at: {type: 'datetime'},
+                    opens: {type: 'time'},
+                    code: {type: 'string', size: 8}
+                }, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(statements(), ['CREATE TABLE users ("BIO" CLOB,"ACTIVE" SMALLINT,"SETTINGS" CLOB,"PRICE" DECIMAL(10,2),' +
+                        '"RATIO" DOUBLE,"VIEWS" BIGINT,"AT" TIMESTAMP,"OPENS" TIME,"CODE" VARCHAR(8))']);
+                    done();
+                });
+            });
+        });
+
+        it('stores booleans in BOOLEAN columns from DB2 11.1.1.1 on', function (done) {
+            register({serverVersion: '11.5'}, function () {
+                adapter.define('ddl', 'user', {active: {type: 'boolean', defaultsTo: true}}, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(statements(), ['CREATE TABLE users ("ACTIVE" BOOLEAN DEFAULT TRUE)']);
+                    done();
+                });
+            });
+        });
+    });
+
+    describe('keys', function () {
+        it('declares identities, sequence fed and UUID keys', function (done) {
+            register({}, function () {
+                adapter.define('ddl', 'user', {
+                    id: {type: 'integer', primaryKey: true, autoIncrement: true, size: 64, generated: 'byDefault'}
+                }, function (err) {
+                    assert.ifError(err);
+
+                    adapter.define('ddl', 'team', {
+                        id: {type: 'integer', primaryKey: true, autoIncrement: true, sequence: 'TEAMS_SEQ'},
+                        code: {type: 'string', uuid: true}
+                    }, function (err) {
+                        assert.ifError(err);
+                        assert.deepEqual(statements(), [
+                            'CREATE TABLE users ("ID" BIGINT GENERATED BY DEFAULT AS IDENTITY NOT NULL PRIMARY KEY)',
+                            'CREATE TABLE team ("ID" INTEGER NOT NULL PRIMARY KEY,"CODE" VARCHAR(36))'
+                        ]);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('declares composite primary keys as a table constraint', function (done) {
+            register({}, function () {
+                adapter.define('ddl', 'user', {
+                    tenant: {type: 'integer', primaryKey: true},
+                    id: {type: 'integer', primaryKey: true, autoIncrement: true}
+                }, function (err) {
+                    assert.ifError(err);
+                    assert.deepEqual(statements(), ['CREATE TABLE users ("TENANT" INTEGER NOT NULL,' +
+                        '"ID" INTEGER GENERATED ALWAYS AS IDENTITY NOT NULL,CONSTRAINT PK_USERS PRIMARY KEY ("TENANT","ID"))']);
+                    done();
+                });
+            });
+        });
+    });
+});
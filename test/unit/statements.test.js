@@ -0,0 +1,79 @@
+var assert = require('assert');
+var StatementCache = require('../../lib/statements');
+
+
+describe('StatementCache', function () {
+    var closed;
+
+    function statement(name) {
+        return {
+            name: name,
+            closeSync: function () {
+                closed.push(name);
+            }
+        };
+    }
+
+    beforeEach(function () {
+        closed = [];
+    });
+
+    it('takes statements out of the cache while they run', function () {
+        var cache = new StatementCache(2),
+            a = statement('a');
+
+        cache.put('SELECT A', a);
+        assert.strictEqual(cache.take('SELECT A'), a);
+        assert.strictEqual(cache.take('SELECT A'), null);
+        assert.equal(cache.size, 0);
+    });
+
+    it('closes the least recently used statement when full', function () {
+        var cache = new StatementCache(2);
+
+        cache.put('SELECT A', statement('a'));
+        cache.put('SELECT B', statement('b'));
+        // Running A makes B the least recently used one
+        cache.put('SELECT A', cache.take('SELECT A'));
+        cache.put('SELECT C', statement('c'));
+
+        assert.deepEqual(closed, ['b']);
+        assert.equal(cache.size, 2);
+        assert.equal(cache.take('SELECT A').name, 'a');
+        assert.equal(cache.take('SELECT C').name, 'c');
+    });
+
+    it('closes a statement replaced for the same SQL text', function () {
+        var cache = new StatementCache(2);
+
+        cache.put('SELECT A', statement('a1'));
+        cache.put('SELECT A', statement('a2'));
+
+        assert.deepEqual(closed, ['a1']);
+        assert.equal(cache.size, 1);
+    });
+
+    it('closes statements right away when disabled', function () {
+        var cache = new StatementCache(0);
+
+        cache.put('SELECT A', statement('a'));
+
+        assert.deepEqual(closed, ['a']);
+        assert.strictEqual(cache.take('SELECT A'), null);
+    });
+
+    it('closes every statement when cleared, ignoring close errors', function () {
+        var cache = new StatementCache(3);
+
+        cache.put('SELECT A', statement('a'));
+        cache.put('SELECT B', {
+            closeSync: function () {
+                throw new Error('connection closed');
+            }
+        });
+        cache.clear();
+
+        assert.deepEqual(closed, ['a']);
+        assert.equal(cache.size, 0);
+    });
+});
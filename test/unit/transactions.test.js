@@ -0,0 +1,196 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('transactions', function () {
+    var driver,
+        register = function (pool, done) {
+            adapter.registerConnection(_.extend({}, adapter.defaults, {
+                identity: 'tx',
+                ibmdb: driver,
+                pool: pool,
+                validateConnection: false
+            }), {
+                user: {
+                    identity: 'user',
+                    tableName: 'users',
+                    definition: {
+                        id: {type: 'integer', primaryKey: true, autoIncrement: true},
+                        name: {type: 'string'}
+                    }
+                }
+            }, done);
+        };
+
+    beforeEach(function () {
+        driver = ibmdb();
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('tx', done);
+    });
+
+    it('runs the calls given the handle on the pinned connection only', function (done) {
+        register({max: 2}, function (err) {
+            assert.ifError(err);
+
+            adapter.beginTransaction('tx', function (err, transaction) {
+                assert.ifError(err);
+                driver.results.push([{id: 1, name: 'bob'}]);
+
+                adapter.create(transaction, 'user', {name: 'bob'}, function (err) {
+                    assert.ifError(err);
+                    driver.results.push([{COUNT: 0}]);
+
+                    adapter.count('tx', 'user', {}, function (err) {
+                        assert.ifError(err);
+
+                        adapter.commit(transaction, function (err) {
+                            assert.ifError(err);
+                            assert.deepEqual(driver.statements(1), ['OPEN', 'BEGIN',
+                                'SELECT "ID" AS "id","NAME" AS "name" FROM FINAL TABLE (INSERT INTO users ("NAME") VALUES (?))', 'COMMIT']);
+                            assert.deepEqual(driver.statements(2), ['OPEN', 'SELECT COUNT(*) AS COUNT FROM users']);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('gives the pinned connection back once committed', function (done) {
+        register({max: 1}, function () {
+            adapter.beginTransaction('tx', function (err, transaction) {
+                adapter.commit(transaction, function (err) {
+                    assert.ifError(err);
+
+                    adapter.find('tx', 'user', {}, function (err) {
+                        assert.ifError(err);
+                        assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'COMMIT', 'SELECT "ID" AS "id","NAME" AS "name" FROM users']);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('opens a transaction per call on the same connection', function (done) {
+        register({max: 2}, function () {
+            adapter.beginTransaction('tx', function (err, first) {
+                adapter.beginTransaction('tx', function (err, second) {
+                    assert.ifError(err);
+                    assert.notStrictEqual(first.transaction.conn, second.transaction.conn);
+
+                    adapter.rollback(first, function () {
+                        adapter.rollback(second, function () {
+                            assert.deepEqual(driver.statements(1), ['OPEN', 'BEGIN', 'ROLLBACK']);
+                            assert.deepEqual(driver.statements(2), ['OPEN', 'BEGIN', 'ROLLBACK']);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('only commits and rolls back transaction handles', function (done) {
+        register(false, function () {
+            adapter.commit('tx', function (err) {
+                assert.ok(/No transaction is open/.test(err.message));
+
+                adapter.beginTransaction('tx', function (err, transaction) {
+                    adapter.commit(transaction, function (err) {
+                        assert.ifError(err);
+
+                        adapter.rollback(transaction, function (err) {
+                            assert.ok(/No transaction is open/.test(err.message));
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    describe('transaction', function () {
+        it('commits when fn succeeds', function (done) {
+            register(false, function () {
+                adapter.transaction('tx', function (transaction, cb) {
+                    adapter.find(transaction, 'user', {}, function (err) {
+                        cb(err, 'result');
+                    });
+                }, function (err, result) {
+                    assert.ifError(err);
+                    assert.equal(result, 'result');
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'SELECT "ID" AS "id","NAME" AS "name" FROM users', 'COMMIT', 'CLOSE']);
+                    done();
+                });
+            });
+        });
+
+        it('rolls back when fn fails or throws', function (done) {
+            register(false, function () {
+                adapter.transaction('tx', function (transaction, cb) {
+                    cb(new Error('failed'));
+                }, function (err) {
+                    assert.equal(err.message, 'failed');
+
+                    adapter.transaction('tx', function () {
+                        throw new Error('thrown');
+                    }, function (err) {
+                        assert.equal(err.message, 'thrown');
+                        assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'ROLLBACK', 'CLOSE', 'OPEN', 'BEGIN', 'ROLLBACK', 'CLOSE']);
+                        done();
+                    });
+                });
+            });
+        });
+
+        it('rolls back when the commit fails', function (done) {
+            register(false, function () {
+                driver.fail('commitTransaction', ibmdb.error('40001'));
+
+                adapter.transaction('tx', function (transaction, cb) {
+                    cb();
+                }, function (err) {
+                    assert.equal(err.code, 'E_DEADLOCK');
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'COMMIT', 'ROLLBACK', 'CLOSE']);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('closes a pooled connection whose rollback fails', function (done) {
+        register({max: 1}, function () {
+            driver.fail('rollbackTransaction', ibmdb.error('58004'));
+
+            adapter.beginTransaction('tx', function (err, transaction) {
+                adapter.rollback(transaction, function (err) {
+                    assert.ok(err);
+
+                    adapter.find('tx', 'user', {}, function (err) {
+                        assert.ifError(err);
+                        assert.deepEqual(driver.statements(1), ['OPEN', 'BEGIN', 'ROLLBACK', 'CLOSE']);
+                        assert.deepEqual(driver.statements(2), ['OPEN', 'SELECT "ID" AS "id","NAME" AS "name" FROM users']);
+                        done();
+                    });
+                });
+            });
+        });
+    });
+
+    it('rolls back the transactions left open on teardown', function (done) {
+        register({max: 1}, function () {
+            adapter.beginTransaction('tx', function (err, transaction) {
+                adapter.teardown('tx', function () {
+                    assert.deepEqual(driver.statements(), ['OPEN', 'BEGIN', 'ROLLBACK', 'CLOSE']);
+                    assert.ok(transaction.transaction.ended);
+                    done();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,93 @@
+var assert = require('assert');
+var types = require('../../lib/types');
+
+
+describe('types', function () {
+    describe('toDatabase', function () {
+        it('keeps null and undefined as NULL', function () {
+            assert.strictEqual(types.toDatabase({type: 'string'}, null), null);
+            assert.strictEqual(types.toDatabase({type: 'string'}, undefined), null);
+        });
+
+        it('formats dates, times and timestamps', function () {
+            var date = new Date(2015, 0, 2, 3, 4, 5, 6);
+
+            assert.equal(types.toDatabase({type: 'date'}, date), '2015-01-02');
+            assert.equal(types.toDatabase({type: 'datetime'}, date), '2015-01-02 03:04:05.006000');
+            assert.equal(types.toDatabase({type: 'time'}, date), '03:04:05');
+            assert.equal(types.toDatabase({type: 'time'}, '7.30'), '7:30');
+            assert.equal(types.toDatabase({type: 'date'}, '2015-01-02T10:00:00'), '2015-01-02');
+        });
+
+        it('binds booleans as 1 / 0', function () {
+            assert.strictEqual(types.toDatabase({type: 'boolean'}, true), 1);
+            assert.strictEqual(types.toDatabase({type: 'boolean'}, 'false'), 0);
+            assert.strictEqual(types.toDatabase({type: 'boolean'}, '0'), 0);
+            assert.strictEqual(types.toDatabase(undefined, false), 0);
+        });
+
+        it('converts numbers and serializes json and arrays', function () {
+            assert.strictEqual(types.toDatabase({type: 'integer'}, '42'), 42);
+            assert.equal(types.toDatabase({type: 'json'}, {a: 1}), '{"a":1}');
+            assert.equal(types.toDatabase({type: 'array'}, [1, 2]), '[1,2]');
+            assert.equal(types.toDatabase(undefined, {a: 1}), '{"a":1}');
+        });
+
+        it('binds binary values as BLOB parameters', function () {
+            var param = types.toDatabase({type: 'binary'}, 'abc');
+
+            assert.equal(param.DataType, 'BLOB');
+            assert.ok(Buffer.isBuffer(param.Data));
+            assert.equal(param.Data.toString(), 'abc');
+            assert.equal(types.toDatabase({type: 'string'}, Buffer.from('x')).DataType, 'BLOB');
+        });
+    });
+
+    describe('fromDatabase', function () {
+        it('parses DB2 ISO and native timestamps', function () {
+            assert.equal(types.fromDatabase({type: 'datetime'}, '2015-01-02 03:04:05.006000').getTime(), new Date(2015, 0, 2, 3, 4, 5, 6).getTime());
+            assert.equal(types.fromDatabase({type: 'datetime'}, '2015-01-02-03.04.05.000000').getTime(), new Date(2015, 0, 2, 3, 4, 5).getTime());
+            assert.equal(types.fromDatabase({type: 'date'}, '2015-01-02').getTime(), new Date(2015, 0, 2).getTime());
+        });
+
+        it('reads TIME columns as strings', function () {
+            assert.equal(types.fromDatabase({type: 'time'}, '03:04:05 '), '03:04:05');
+        });
+
+        it('reads BOOLEAN and SMALLINT columns as booleans', function () {
+            assert.strictEqual(types.fromDatabase({type: 'boolean'}, 1), true);
+            assert.strictEqual(types.fromDatabase({type: 'boolean'}, '0'), false);
+            assert.strictEqual(types.fromDatabase({type: 'boolean'}, 'FALSE'), false);
+        });
+
+        it('parses numbers given as strings and json', function () {
+            assert.strictEqual(types.fromDatabase({type: 'integer'}, '12'), 12);
+            assert.strictEqual(types.fromDatabase({type: 'float'}, '1.50'), 1.5);
+            assert.deepEqual(types.fromDatabase({type: 'json'}, '{"a":1}'), {a: 1});
+            assert.equal(types.fromDatabase({type: 'json'}, 'not json'), 'not json');
+        });
+
+        it('keeps values of unknown columns', function () {
+            assert.equal(types.fromDatabase(undefined, '12'), '12');
+        });
+    });
+
+    describe('castRecord', function () {
+        it('renames columns after their attribute and converts values', function () {
+            var collection = {
+                definition: {
+                    firstName: {type: 'string'},
+                    active: {type: 'boolean'},
+                    email: {type: 'string', columnName: 'mail_address'}
+                }
+            };
+
+            assert.deepEqual(types.castRecord(collection, {FIRSTNAME: 'bob', active: 0, MAIL_ADDRESS: 'b@x', EXTRA: 1}), {
+                firstName: 'bob',
+                active: false,
+                email: 'b@x',
+                EXTRA: 1
+            });
+        });
+    });
+});
@@ -0,0 +1,85 @@
+var assert = require('assert');
+var _ = require('lodash');
+var adapter = require('../../index');
+var ibmdb = require('../support/ibmdb');
+
+
+describe('update and destroy', function () {
+    var driver,
+        select = 'SELECT "ID" AS "id","NAME" AS "name","AGE" AS "age" FROM ';
+
+    beforeEach(function (done) {
+        driver = ibmdb();
+        adapter.registerConnection(_.extend({}, adapter.defaults, {
+            identity: 'update',
+            ibmdb: driver,
+            retry: false
+        }), {
+            user: {
+                identity: 'user',
+                tableName: 'users',
+                definition: {
+                    id: {type: 'integer', primaryKey: true, autoIncrement: true},
+                    name: {type: 'string'},
+                    age: {type: 'integer'}
+                }
+            }
+        }, done);
+    });
+
+    afterEach(function (done) {
+        adapter.teardown('update', done);
+    });
+
+    describe('update', function () {
+        it('gives every updated record back from FINAL TABLE', function (done) {
+            driver.results.push([{ID: 1, NAME: 'bob', AGE: 3}, {ID: 2, NAME: 'bob', AGE: 3}]);
+
+            adapter.update('update', 'user', {where: {name: 'bob'}}, {age: 3, id: 9}, function (err, records) {
+                assert.ifError(err);
+                assert.deepEqual(_.pluck(records, 'id'), [1, 2]);
+                // GENERATED ALWAYS identities aren't written
+                assert.deepEqual(driver.statements(), ['OPEN', select + 'FINAL TABLE (UPDATE users SET "AGE" = ? WHERE "NAME" = ?)', 'CLOSE']);
+                assert.deepEqual(driver.log[1].params, [3, 'bob']);
+                done();
+            });
+        });
+
+        it('gives the matching records back when there\'s nothing to set', function (done) {
+            adapter.update('update', 'user', {where: {id: 1}}, {id: 1}, function (err) {
+                assert.ifError(err);
+                assert.deepEqual(driver.statements(), ['OPEN', select + 'users WHERE "ID" = ?', 'CLOSE']);
+                done();
+            });
+        });
+
+        it('refuses criteria naming unknown attributes', function (done) {
+            adapter.update('update', 'user', {where: {or: [{nmae: 'bob'}]}}, {age: 3}, function (err) {
+                assert.ok(/Unknown attribute `nmae`/.test(err.message));
+                assert.deepEqual(driver.statements(), ['OPEN', 'CLOSE']);
+                done();
+            });
+        });
+    });
+
+    describe('destroy', function () {
+        it('gives the destroyed records back from OLD TABLE', function (done) {
+            driver.results.push([{ID: 1, NAME: 'bob', AGE: 3}]);
+
+            adapter.destroy('update', 'user', {where: {age: {'<': 5}}}, function (err, records) {
+                assert.ifError(err);
+                assert.deepEqual(records, [{id: 1, name: 'bob', age: 3}]);
+                assert.deepEqual(driver.statements(), ['OPEN', select + 'OLD TABLE (DELETE FROM users WHERE "AGE" < ?)', 'CLOSE']);
+                done();
+            });
+        });
+
+        it('refuses criteria naming unknown attributes', function (done) {
+            adapter.destroy('update', 'user', {where: {or: [{nmae: 'bob'}]}}, function (err) {
+                assert.ok(/Unknown attribute `nmae`/.test(err.message));
+                assert.deepEqual(driver.statements(), ['OPEN', 'CLOSE']);
+                done();
+            });
+        });
+    });
+});